@@ -1,103 +1,1865 @@
 'use strict';
 
 var _ = require('lodash');
+var util = require('util');
+var url = require('url');
+var crypto = require('crypto');
 var BPromise = require('bluebird');
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Create a savepoint function for a transaction bound query.
+ *
+ * The resulting function can be called with a function to run within a
+ * savepoint. The savepoint will be released if the function succeeds (or the
+ * promise it returns resolves). If it fails, the work done within the
+ * savepoint will be rolled back & the resulting promise will be rejected with
+ * the original error. The rest of the transaction is unaffected.
+ *
+ *     req.azul.savepoint(function() {
+ *       return req.azul.query.insert('audits', { action: 'view' });
+ *     })
+ *     .catch(function() {}); // an audit failure should not fail the request
+ *
+ * When called without a function, it resolves with a handle that has
+ * `release` and `rollbackTo` methods for managing the savepoint manually.
+ *
+ * @param {ChainedQuery} query
+ * @return {Function}
+ */
+var savepointer = function(query) {
+  var count = 0;
+  return function(fn) {
+    var name = 'AZUL_SAVEPOINT_' + (++count);
+    var run = function(sql) {
+      return BPromise.resolve(query.raw(util.format(sql, name)).execute());
+    };
+    var handle = {
+      name: name,
+      release: _.partial(run, 'RELEASE SAVEPOINT %s'),
+      rollbackTo: _.partial(run, 'ROLLBACK TO SAVEPOINT %s'),
+    };
+    var promise = run('SAVEPOINT %s').return(handle);
+    if (!fn) { return promise; }
+
+    return promise.then(function() {
+      return BPromise.resolve().then(fn).catch(function(e) {
+        return handle.rollbackTo().throw(e);
+      })
+      .tap(handle.release);
+    });
+  };
+};
+
+/**
+ * Relation types that {@link rebindRelation} knows how to rebind. The relation
+ * objects of these types only reference model classes through their model
+ * class & related model class (and through the database for join models &
+ * through relations, which is handled by binding the database).
+ *
+ * @type {Array.<String>}
+ */
+var rebindableRelations = ['BelongsTo', 'HasMany', 'HasOne'];
+
+/**
+ * Ensure that a relation is of a type that can be rebound.
+ *
+ * @param {String} name The name of the relation.
+ * @param {BaseRelation} relation
+ * @throws {Error} If the relation cannot be rebound.
+ */
+var assertRebindable = function(name, relation) {
+  var type = relation.__identity__.__name__;
+  if (!_.contains(rebindableRelations, type)) {
+    throw new Error(util.format('Cannot bind relation %s#%s of type %s to ' +
+      'a transaction.', relation.modelClass.__name__, name, type));
+  }
+};
+
+/**
+ * Create a copy of a relation for use on a bound model class.
+ *
+ * The relation is configured before being copied so that the copy shares all
+ * of its calculated configuration & no re-configuration will occur for the
+ * copy. It will simply use different model classes when creating, accessing,
+ * or joining through instances.
+ *
+ * @param {BaseRelation} relation
+ * @param {Class} modelClass The bound model class that will own the copy.
+ * @return {BaseRelation}
+ */
+var rebindRelation = function(relation, modelClass) {
+  // relations expose their model classes only as read-only properties, so the
+  // protected storage for those properties is replaced in the copy. all other
+  // state is copied as well since configuration values are cached on the
+  // object itself.
+  return _.extend(Object.create(relation), relation.configured(), {
+    _modelClass: modelClass,
+    _relatedModel: modelClass.db.model(relation.relatedModelClass.__name__),
+  });
+};
+
+/**
+ * Get all relations for a model class, fully configured.
+ *
+ * Configuring relations can add implicit relations to model classes (including
+ * the model class itself for self-referential relations), so relations are
+ * configured until no new relations appear.
+ *
+ * @param {Class} modelClass
+ * @return {Object.<String, BaseRelation>} Relations keyed by name.
+ */
+var configuredRelations = function(modelClass) {
+  var relations = {};
+  var previous;
+  while (_.size(relations) !== previous) {
+    previous = _.size(relations);
+    relations = modelClass.relations;
+    _.invoke(relations, 'configured');
+  }
+  return relations;
+};
+
+/**
+ * Get the values cached by this module for a database.
+ *
+ * @param {Database} db
+ * @return {Object}
+ */
+var databaseCache = function(db) {
+  if (!db._azulTransaction) {
+    Object.defineProperty(db, '_azulTransaction', { value: { bindable: {} } });
+  }
+  return db._azulTransaction;
+};
+
+/**
+ * Get a model class from which bound model classes can be created.
+ *
+ * The bindable class overrides each relation on the model class with a
+ * property that copies the relation the first time it's accessed on a bound
+ * subclass. The copy uses the subclass & models bound via the subclass's
+ * database (see {@link modelBinder}). Both the configured & unconfigured forms
+ * are overridden since through relations expand via the unconfigured form.
+ * Instances access relations through the class, so they use these overrides as
+ * well.
+ *
+ * Bindable classes are built once per database & model and are only rebuilt
+ * when relations are added to the model.
+ *
+ * @param {Database} db
+ * @param {String} name
+ * @return {Class}
+ */
+var bindableModel = function(db, name) {
+  var cache = databaseCache(db).bindable;
+  var model = db.model(name);
+  var relations = configuredRelations(model);
+  var cached = cache[name];
+  if (!cached || cached.relations !== relations) {
+    var modelClass = model.extend();
+    var classPrototype = modelClass.__metaclass__.prototype;
+
+    _.forEach(relations, function(relation, relationName) {
+      assertRebindable(relationName, relation);
+
+      var key = relationName + 'Relation';
+      var get = function() {
+        var copies = this._boundRelations;
+        if (!copies[key]) {
+          copies[key] = rebindRelation(relation, this);
+        }
+        return copies[key];
+      };
+      [key, '_' + key].forEach(function(property) {
+        Object.defineProperty(classPrototype, property, {
+          enumerable: true, get: get,
+        });
+      });
+    });
+
+    cached = cache[name] = { relations: relations, modelClass: modelClass };
+  }
+  return cached.modelClass;
+};
+
+/**
+ * Create a model class binder function.
+ *
+ * The resulting function should be called with the name of a model to bind.
+ * Names are resolved the same way that {@link Database#model} resolves them,
+ * so `blogPost`, `blog_post`, and `BlogPost` all refer to the same model. A
+ * bound model will be created from that name. All relationships on that model
+ * will also be bound properly, including models that are joined through or
+ * used as join models for many-to-many relationships. The result is a model
+ * that you can safely use that has been bound to the query/transaction.
+ *
+ * Binding a model only creates a subclass of its bindable model (see
+ * {@link bindableModel}). Related models are bound as their relations are
+ * accessed.
+ *
+ * @param {Database} db
+ * @param {ChainedQuery} query The query to which models are bound.
+ * @return {Function}
+ */
+var modelBinder = function(db, query) {
+  var boundDb = Object.create(db);
+  var bound = {};
+  var bind = boundDb.model = function(/*name*/) {
+    var name = _.capitalize(_.camelCase(arguments[0]));
+    if (!bound[name]) {
+      // relations look up join models & models they go through via the
+      // database, so the bound model gets a database that binds the models it
+      // provides. it also gets the query object for this request.
+      bound[name] = bindableModel(db, name).extend({}, {
+        db: boundDb,
+        query: query,
+        _boundRelations: {},
+      });
+    }
+    return bound[name];
+  };
+  return bind;
+};
+
+/**
+ * Get the bound model accessor prototype for a database.
+ *
+ * The prototype has a getter for each model class known to the database that
+ * binds the model class using the accessor's binder. It is built once per
+ * database and only rebuilt when new model classes are defined.
+ *
+ * @param {Database} db
+ * @return {Object}
+ */
+var modelAccessorPrototype = function(db) {
+  // azul does not expose the names of the model classes it knows about, so
+  // the database's protected storage for those classes is used.
+  var names = _.keys(db._modelClasses);
+  var cache = databaseCache(db);
+  var cached = cache.accessor;
+  if (!cached || cached.names.length !== names.length) {
+    var prototype = {};
+    names.forEach(function(name) {
+      Object.defineProperty(prototype, name, {
+        enumerable: true, get: function() { return this._bind(name); },
+      });
+    });
+    cached = cache.accessor = { names: names, prototype: prototype };
+  }
+  return cached.prototype;
+};
+
+/**
+ * Create an object that provides bound model classes as properties, i.e.
+ * `models.Article`. Model classes are only bound when they are accessed.
+ *
+ * @param {Database} db
+ * @param {Function} bind A binder created via {@link modelBinder}.
+ * @return {Object}
+ */
+var modelAccessor = function(db, bind) {
+  return Object.create(modelAccessorPrototype(db), {
+    _bind: { value: bind },
+  });
+};
+
+/**
+ * The properties that are added to a request's azul object for a transaction.
+ *
+ * @type {Array.<String>}
+ */
+var requestProperties = [
+  'db', 'transaction', 'query', 'savepoint', 'lock', 'publish', 'model',
+  'models', 'log',
+];
+
+/**
+ * The properties that are added to a response's azul object for a
+ * transaction.
+ *
+ * @type {Array.<String>}
+ */
+var responseProperties = [
+  'begin', 'commit', 'rollback', 'closing', 'beforeCommit', 'afterCommit',
+  'afterRollback', 'timeout', 'timedOut',
+];
+
+/**
+ * Get the azul object for a named transaction from a request or response (or
+ * any other object that azul functionality is added to). Transactions without
+ * a name use the azul object itself while named transactions are nested
+ * within it, i.e. `req.azul.analytics`.
+ *
+ * @param {Object} obj
+ * @param {String} [name]
+ * @return {Object}
+ */
+var scope = function(obj, name) {
+  return name ? (obj.azul && obj.azul[name]) : obj.azul;
+};
+
+/**
+ * Extend the azul object for a named transaction on a request or response.
+ *
+ * @param {Object} obj
+ * @param {String} [name]
+ * @param {Object} values
+ */
+var extendScope = function(obj, name, values) {
+  var extended = _.extend({}, scope(obj, name), values);
+  obj.azul = name ?
+    _.extend({}, obj.azul, _.object([[name, extended]])) :
+    extended;
+};
+
+/**
+ * Get the SQL comment used to tag statements for a request, if tagging is
+ * enabled & the request has an id. Anything other than word characters, dots,
+ * colons & dashes is removed from the id so that it cannot end the comment.
+ *
+ * @param {Request} req
+ * @param {Boolean|Function} tag Whether to tag with `req.id` or a function
+ * that is given the request & returns the id.
+ * @return {?String}
+ */
+var requestComment = function(req, tag) {
+  var id = _.isFunction(tag) ? tag(req) : (tag && req.id);
+  id = _.isUndefined(id) || _.isNull(id) ? '' :
+    String(id).replace(/[^\w.:-]/g, '');
+  return id ? util.format('/* req:%s */ ', id) : null;
+};
+
+/**
+ * Instrument a query & all queries that are derived from it (via the `spawn`
+ * & `dup` events) so that statements are tagged with a comment and/or
+ * recorded in a log as they are executed.
+ *
+ * @param {ChainedQuery} query
+ * @param {Object} options
+ * @param {String} [options.comment] A comment to prefix to each statement.
+ * @param {Array} [options.log] An array to which an entry is added for each
+ * executed statement, containing the `sql`, `args` & `duration` in
+ * milliseconds (& the `error` for failed statements).
+ */
+var instrumentQuery = function(query, options) {
+  var comment = options.comment;
+  var log = options.log;
+  var instrument = function(query) {
+    query.on('spawn', instrument);
+    query.on('dup', instrument);
+
+    if (comment) {
+      var statement = query._statement;
+      query._statement = function() {
+        var result = statement.apply(this, arguments);
+        return { sql: comment + result.sql, args: result.args };
+      };
+    }
+
+    if (log) {
+      var execute = query._execute;
+      query._execute = function() {
+        var start = Date.now();
+        var statement = this.statement;
+        var record = function(details) {
+          log.push(_.extend({
+            sql: statement.sql,
+            args: statement.args,
+            duration: Date.now() - start,
+          }, details));
+        };
+        return BPromise.resolve(execute.apply(this, arguments))
+        .tap(function() { record(); })
+        .catch(function(e) { record({ error: e }); throw e; });
+      };
+    }
+  };
+  instrument(query);
+};
+
+/**
+ * The number of request savepoints that have been created within outer
+ * transactions (see {@link nestedTransaction}).
+ *
+ * @type {Number}
+ */
+var nestedCount = 0;
+
+/**
+ * Create a transaction for a request that runs within a savepoint of an outer
+ * transaction. This allows several requests to share one transaction, i.e. in
+ * tests that roll back the outer transaction once they're done.
+ *
+ * The result can be used like a transaction object. Queries bound to it use
+ * the client of the outer transaction, which must already have begun, & its
+ * `begin`, `commit` & `rollback` queries create, release & roll back to the
+ * savepoint.
+ *
+ * @param {Database} db
+ * @param {TransactionQuery} outer
+ * @return {TransactionQuery}
+ */
+var nestedTransaction = function(db, outer) {
+  var name = 'AZUL_REQUEST_' + (++nestedCount);
+  var run = function(sql) {
+    return db.query.transaction(outer).raw(util.format(sql, name));
+  };
+  var delegate = function(method) {
+    return function() { return outer[method].apply(outer, arguments); };
+  };
+  return Object.create(outer, {
+    _azulSavepoint: { value: name },
+    acquireClient: { value: delegate('acquireClient'), writable: true },
+    releaseClient: { value: delegate('releaseClient') },
+    depth: { value: delegate('depth') },
+    begin: { value: _.partial(run, 'SAVEPOINT %s') },
+    commit: { value: _.partial(run, 'RELEASE SAVEPOINT %s') },
+    rollback: { value: _.partial(run, 'ROLLBACK TO SAVEPOINT %s') },
+  });
+};
+
+/**
+ * Determine the SQL dialect in use for a database.
+ *
+ * @param {Database} db
+ * @return {String} One of `pg`, `mysql`, or `sqlite3`.
+ */
+var dialect = function(db) {
+  var name = db.Model.adapter.__identity__.__name__;
+  if (name.match(/mysql/i)) { return 'mysql'; }
+  if (name.match(/sqlite/i)) { return 'sqlite3'; }
+  return 'pg';
+};
+
+/**
+ * An error indicating that a lock could not be taken without waiting (see
+ * {@link locker}).
+ *
+ * @constructor
+ * @param {String|Number} key The key of the lock.
+ */
+var LockUnavailableError = function(key) {
+  Error.call(this);
+  Error.captureStackTrace(this, LockUnavailableError);
+  this.name = 'LockUnavailableError';
+  this.message = util.format('Lock %j is held by another transaction.', key);
+  this.key = key;
+  this.status = this.statusCode = 409;
+};
+
+util.inherits(LockUnavailableError, Error);
+
+/**
+ * Create a lock function for a transaction bound query.
+ *
+ * The resulting function takes an advisory lock for a key (a string or an
+ * integer) & resolves once it is held. Locks are held until the transaction
+ * commits or rolls back.
+ *
+ *     req.azul.lock('invoice:' + req.params.id).then(function() {
+ *       // no other transaction holds the lock for this invoice
+ *     });
+ *
+ * PostgreSQL uses transaction level advisory locks (string keys are hashed
+ * with `hashtext`). MySQL uses `GET_LOCK`, which does not support shared locks
+ * (they're taken as exclusive locks instead). Its locks are released when the
+ * transaction ends (see {@link endQuery}). SQLite locks the whole database
+ * for writes anyway, so locking does nothing.
+ *
+ * @param {Database} db
+ * @param {TransactionQuery} transaction
+ * @param {ChainedQuery} query
+ * @return {Function} The lock function, which accepts the key & options with
+ * `shared` (take a shared lock rather than an exclusive one) & `wait`
+ * (defaults to `true`; when `false`, a lock that's unavailable is rejected
+ * with a {@link LockUnavailableError} right away).
+ */
+var locker = function(db, transaction, query) {
+  var type = dialect(db);
+  var held = []; // names of MySQL locks, which must be released explicitly
+  Object.defineProperty(transaction, '_azulLocks', { value: held });
+
+  return function(key, options) {
+    var opts = _.defaults({}, options, { shared: false, wait: true });
+    var sql, args;
+
+    if (type === 'sqlite3') { return BPromise.resolve(); }
+    if (type === 'mysql') {
+      sql = 'SELECT GET_LOCK(?, ?) AS locked';
+      args = [String(key), opts.wait ? -1 : 0];
+    }
+    else {
+      sql = util.format('SELECT pg_%sadvisory_xact_lock%s(%s)%s',
+        opts.wait ? '' : 'try_',
+        opts.shared ? '_shared' : '',
+        _.isNumber(key) ? '?' : 'hashtext(?)',
+        opts.wait ? '' : ' AS "locked"');
+      args = [key];
+    }
+
+    return BPromise.resolve(query.raw(sql, args).execute())
+    .then(function(result) {
+      var row = result && result.rows && result.rows[0];
+      var locked = Boolean(row) &&
+        (row.locked === true || Number(row.locked) === 1);
+      if (type === 'mysql' && locked) { held.push(String(key)); }
+      if ((type === 'mysql' || !opts.wait) && !locked) {
+        throw new LockUnavailableError(key);
+      }
+    });
+  };
+};
+
+/**
+ * Create a publish function for a transaction bound query.
+ *
+ * The resulting function inserts an event with a topic & a payload (which
+ * must be serializable as JSON) into the outbox table within the transaction,
+ * so the event becomes visible to the dispatcher (see
+ * {@link outboxDispatcher}) exactly when the rest of the transaction's
+ * changes do. Events from transactions that roll back are never dispatched.
+ *
+ *     req.azul.publish('invoice.paid', { id: invoice.id });
+ *
+ * @param {ChainedQuery} query
+ * @param {String} table The name of the outbox table.
+ * @return {Function}
+ */
+var publisher = function(query, table) {
+  return function(topic, payload) {
+    var insert = query.insert(table, {
+      'topic': topic,
+      'payload': JSON.stringify(_.isUndefined(payload) ? null : payload),
+      'attempts': 0,
+      'available_at': new Date(),
+    });
+    return BPromise.resolve(insert.execute()).return();
+  };
+};
 
 /**
  * Setup a request object, adding azul functionality.
  *
- * @param {Database} db
+ * @param {Database} db
+ * @param {Request} req
+ * @param {Object} options
+ * @param {String} [options.name] The name of the transaction (see
+ * {@link scope}).
+ * @param {Boolean} [options.log] Record the statements executed through the
+ * transaction's query in `log` (see {@link instrumentQuery}).
+ * @param {Boolean|Function} [options.tag] Tag statements executed through the
+ * transaction's query with the request id (see {@link requestComment}).
+ * @param {TransactionQuery} [options.outerTransaction] A transaction within
+ * which the request's transaction runs as a savepoint (see
+ * {@link nestedTransaction}).
+ * @param {String} [options.outboxTable] The table for published events (see
+ * {@link publisher}).
+ * @throws {Error} If a transaction with the same name has already been set up
+ * for another database.
+ */
+var setupRequest = function(db, req, options) {
+  var name = options.name;
+  var existing = scope(req, name);
+  if (existing && existing.transaction) { // already set up
+    if (existing.db !== db) {
+      throw new Error(util.format('A transaction%s has already been set up ' +
+        'for another database. Use the `name` option for each additional ' +
+        'database.', name ? ' named ' + name : ''));
+    }
+    return;
+  }
+
+  var outer = options.outerTransaction;
+  var transaction = outer ?
+    nestedTransaction(db, outer) :
+    db.query.transaction();
+  var query = db.query.transaction(transaction);
+  var model = modelBinder(db, query);
+  var log = options.log ? [] : undefined;
+  var comment = options.tag && requestComment(req, options.tag);
+  if (log || comment) {
+    instrumentQuery(query, { log: log, comment: comment });
+  }
+
+  extendScope(req, name, {
+    db: db,
+    transaction: transaction,
+    query: query,
+    savepoint: savepointer(query),
+    lock: locker(db, transaction, query),
+    publish: publisher(query, options.outboxTable || 'outbox'),
+    model: model,
+    models: modelAccessor(db, model),
+    log: log,
+  });
+};
+
+/**
+ * Isolation levels that can be requested for a transaction, keyed by the
+ * names accepted in options.
+ *
+ * @type {Object}
+ */
+var isolationLevels = {
+  'read uncommitted': 'READ UNCOMMITTED',
+  'read committed': 'READ COMMITTED',
+  'repeatable read': 'REPEATABLE READ',
+  'serializable': 'SERIALIZABLE',
+};
+
+/**
+ * Get the SQL for an isolation level. Names are accepted in any case and may
+ * use spaces, underscores, dashes or camel case to separate words.
+ *
+ * @param {String} name
+ * @return {String}
+ */
+var isolationLevel = function(name) {
+  var level = isolationLevels[_.snakeCase(name).replace(/_/g, ' ')];
+  if (!level) {
+    throw new Error('Unknown isolation level: ' + name);
+  }
+  return level;
+};
+
+/**
+ * Ensure that a transaction name can be used. Names must be identifiers (so
+ * they can be used in route params) & cannot conflict with the properties
+ * added for unnamed transactions.
+ *
+ * @param {String} name
+ * @return {String}
+ */
+var transactionName = function(name) {
+  var reserved = [].concat(requestProperties, responseProperties);
+  if (!name.match(/^[a-z_$][\w$]*$/i) || _.contains(reserved, name)) {
+    throw new Error('Invalid transaction name: ' + name);
+  }
+  return name;
+};
+
+/**
+ * Modes that control how transactions end. Transactions are committed in
+ * `commit` mode (the default). In `rollback` mode, every commit is replaced
+ * with a rollback so that nothing is kept, i.e. for integration tests.
+ *
+ * @type {Array.<String>}
+ */
+var transactionModes = ['commit', 'rollback'];
+
+/**
+ * Validate transaction options, throwing for anything that could not be used
+ * in a `BEGIN` statement (or an unknown mode or invalid name). This allows
+ * mistakes to be caught when middleware & routes are created rather than on
+ * the first request.
+ *
+ * @param {Object} options
+ * @return {Object} The options.
+ */
+var validateOptions = function(options) {
+  if (options.isolation) { isolationLevel(options.isolation); }
+  if (options.name) { transactionName(options.name); }
+  if (options.mode && !_.contains(transactionModes, options.mode)) {
+    throw new Error('Unknown mode: ' + options.mode);
+  }
+  return options;
+};
+
+/**
+ * Create a query that will begin a transaction with the given options.
+ *
+ * Without any options, this is simply the standard begin query for the
+ * transaction. PostgreSQL accepts all options directly in the `BEGIN`. MySQL
+ * uses `START TRANSACTION` and sets the isolation level in a separate
+ * statement just before (on the same client). SQLite does not support any of
+ * the options, so they are ignored. Nested transactions (see
+ * {@link nestedTransaction}) begin with a savepoint & ignore them as well.
+ *
+ * @param {Database} db
+ * @param {TransactionQuery} transaction
+ * @param {Object} options
+ * @param {String} [options.isolation] The isolation level.
+ * @param {Boolean} [options.readOnly] Start a read only transaction.
+ * @param {Boolean} [options.deferrable] Start a deferrable transaction
+ * (PostgreSQL only).
+ * @return {BeginQuery}
+ */
+var beginQuery = function(db, transaction, options) {
+  var query = transaction.begin();
+  if (transaction._azulSavepoint) { return query; } // savepoints take none
+
+  var isolation = options.isolation && isolationLevel(options.isolation);
+  var type = dialect(db);
+  var modes = [];
+  var sql;
+
+  if (type === 'pg') {
+    if (isolation) { modes.push('ISOLATION LEVEL ' + isolation); }
+    if (options.readOnly) { modes.push('READ ONLY'); }
+    if (options.deferrable) { modes.push('DEFERRABLE'); }
+    sql = modes.length && 'BEGIN ' + modes.join(', ');
+  }
+  else if (type === 'mysql' && (isolation || options.readOnly)) {
+    sql = 'START TRANSACTION' + (options.readOnly ? ' READ ONLY' : '');
+  }
+
+  if (sql) {
+    query._statement = _.constant({ sql: sql, args: [] });
+  }
+  if (type === 'mysql' && isolation) {
+    var execute = query._execute;
+    query._execute = function(client) {
+      var self = this;
+      var adapter = db.Model.adapter;
+      var set = 'SET TRANSACTION ISOLATION LEVEL ' + isolation;
+      return adapter.execute(set, [], { client: client }).then(function() {
+        return execute.call(self, client);
+      });
+    };
+  }
+
+  return query;
+};
+
+/**
+ * Get the changes needed for a transaction that began with some options to
+ * have others instead. The changes are the modes of a `SET TRANSACTION`
+ * statement. An isolation level that is not given keeps the current level.
+ * Only PostgreSQL supports `DEFERRABLE` & SQLite supports none of the
+ * options, so they never result in changes.
+ *
+ * @param {String} type The dialect (see {@link dialect}).
+ * @param {Object} from The options the transaction has.
+ * @param {Object} to The options the transaction should have.
+ * @return {Array.<String>}
+ */
+var transactionChanges = function(type, from, to) {
+  var isolation = to.isolation && isolationLevel(to.isolation);
+  var changes = [];
+  if (type === 'sqlite3') { return changes; }
+  if (isolation && isolation !== (from.isolation &&
+      isolationLevel(from.isolation))) {
+    changes.push('ISOLATION LEVEL ' + isolation);
+  }
+  if (Boolean(to.readOnly) !== Boolean(from.readOnly)) {
+    changes.push(to.readOnly ? 'READ ONLY' : 'READ WRITE');
+  }
+  if (type === 'pg' && Boolean(to.deferrable) !== Boolean(from.deferrable)) {
+    changes.push(to.deferrable ? 'DEFERRABLE' : 'NOT DEFERRABLE');
+  }
+  return changes;
+};
+
+/**
+ * Make a function that begins a transaction with the options that it's given.
+ * The first call begins the transaction by calling `start` with the options,
+ * which issues the `BEGIN` & returns a promise for it.
+ *
+ * Options given once the transaction has begun (i.e. by a route after the
+ * middleware issued the `BEGIN`) must take effect or fail, since running at
+ * some other isolation level would go unnoticed. PostgreSQL allows changes
+ * (with `SET TRANSACTION`) until a query has run within the transaction, but
+ * MySQL does not. Later calls resolve once any changes have been made.
+ *
+ * Queries are noticed by replacing the transaction's `acquireClient`, so this
+ * must be used before {@link deferBegin}.
+ *
+ * @param {Database} db
+ * @param {TransactionQuery} transaction
+ * @param {Function} start
+ * @return {Function} The function to begin with, given the options.
+ */
+var transactionBegin = function(db, transaction, start) {
+  var beganWith; // options the transaction began with (or was changed to)
+  var ready; // promise for the `BEGIN` & any change of its options
+  var used = false; // has a query run within the transaction?
+  var acquireClient = transaction.acquireClient; // without deferred begins
+
+  var reconfigure = function(opts) {
+    var type = dialect(db);
+    var changes = transaction._azulSavepoint ? [] :
+      transactionChanges(type, beganWith, opts);
+    if (!changes.length) { return ready; }
+    if (type === 'mysql' || used) {
+      return BPromise.reject(new Error(util.format(
+        'Cannot change transaction options (%s) once the transaction has %s. ' +
+        'Use a lazy transaction to set options for a route.',
+        changes.join(', '), type === 'mysql' ? 'begun' : 'run a query')));
+    }
+    beganWith = _.extend({}, beganWith, _.omit(opts, _.isUndefined));
+    // the change is executed on the transaction's client directly since a
+    // query would wait for a deferred begin (see deferBegin) that waits for
+    // this very change. it also isn't a query that prevents later changes.
+    ready = ready.then(function() {
+      var sql = 'SET TRANSACTION ' + changes.join(', ');
+      return acquireClient.call(transaction).then(function(client) {
+        return db.Model.adapter.execute(sql, [], { client: client });
+      });
+    });
+    return ready;
+  };
+
+  // note when a query runs within the transaction, after which its options
+  // can no longer be changed.
+  transaction.acquireClient = function(acquireOptions) {
+    if (!(acquireOptions && acquireOptions.depthChange)) { used = true; }
+    return acquireClient.apply(this, arguments);
+  };
+
+  return function(opts) {
+    if (ready) { return reconfigure(opts); }
+    beganWith = opts;
+    ready = start(opts);
+    return ready;
+  };
+};
+
+/**
+ * Create a query that will end a transaction with the given action, taking
+ * the mode into account (see {@link transactionModes}).
+ *
+ * MySQL locks that the transaction holds (see {@link locker}) are released
+ * just after the commit or rollback, on the same client (before it goes back
+ * to the pool). Failures to release them are ignored.
+ *
+ * @param {Database} db
+ * @param {TransactionQuery} transaction
+ * @param {String} action Either `commit` or `rollback`.
+ * @param {Object} options
+ * @param {String} [options.mode]
+ * @return {ChainedQuery}
+ */
+var endQuery = function(db, transaction, action, options) {
+  var query = transaction[options.mode === 'rollback' ? 'rollback' : action]();
+  var held = transaction._azulLocks;
+  if (held && held.length) {
+    var execute = query._execute;
+    query._execute = function(client) {
+      var adapter = db.Model.adapter;
+      var release = function() {
+        return BPromise.each(held.splice(0, held.length), function(key) {
+          return adapter.execute('SELECT RELEASE_LOCK(?)', [key],
+            { client: client }).catch(_.noop);
+        });
+      };
+      var promise = BPromise.resolve(execute.call(this, client));
+      return promise.then(function(result) {
+        return release().return(result);
+      }, function(e) {
+        return release().throw(e);
+      });
+    };
+  }
+  return query;
+};
+
+/**
+ * Defer the `BEGIN` of a transaction until the first query that runs within
+ * it needs a client.
+ *
+ * This replaces `acquireClient` on the transaction object. Queries that change
+ * the depth of the transaction (`BEGIN`, `COMMIT` & `ROLLBACK`) manage their
+ * own client and pass straight through. All other queries will first wait for
+ * the transaction to begin. Deferring again (i.e. for a route after lazy
+ * middleware) replaces the begin function, so the latest options are used.
+ *
+ * @param {TransactionQuery} transaction
+ * @param {Function} begin The function to call to begin the transaction. It
+ * should return a promise & be safe to call multiple times.
+ */
+var deferBegin = function(transaction, begin) {
+  if (!transaction._azulDeferred) {
+    var deferred = {};
+    var acquireClient = transaction.acquireClient;
+    Object.defineProperty(transaction, '_azulDeferred', { value: deferred });
+    transaction.acquireClient = function(options) {
+      var args = arguments;
+      var self = this;
+      if (options && options.depthChange) {
+        return acquireClient.apply(this, args);
+      }
+      return deferred.begin().then(function() {
+        return acquireClient.apply(self, args);
+      });
+    };
+  }
+  transaction._azulDeferred.begin = begin;
+};
+
+/**
+ * Call functions one after another, waiting for any promise each returns.
+ *
+ * @param {Array.<Function>} fns
+ * @return {Promise}
+ */
+var series = function(fns) {
+  return BPromise.each(fns.slice(), function(fn) { return fn(); });
+};
+
+/**
+ * Call functions one after another like {@link series}, but ignore any
+ * errors.
+ *
+ * @param {Array.<Function>} fns
+ * @return {Promise}
+ */
+var settle = function(fns) {
+  return BPromise.each(fns.slice(), function(fn) {
+    return BPromise.resolve().then(fn).catch(_.noop);
+  });
+};
+
+/**
+ * An error indicating that a transaction was open for longer than allowed &
+ * has been rolled back.
+ *
+ * @constructor
+ * @param {Number} timeout The timeout that was exceeded in milliseconds.
+ */
+var TimeoutError = function(timeout) {
+  Error.call(this);
+  Error.captureStackTrace(this, TimeoutError);
+  this.name = 'TimeoutError';
+  this.message = util.format('Transaction timed out after %dms.', timeout);
+  this.timeout = timeout;
+  this.status = this.statusCode = 503;
+};
+
+util.inherits(TimeoutError, Error);
+
+/**
+ * An error indicating that the client disconnected before the response was
+ * complete & the transaction was rolled back.
+ *
+ * @constructor
+ */
+var ClientAbortedError = function() {
+  Error.call(this);
+  Error.captureStackTrace(this, ClientAbortedError);
+  this.name = 'ClientAbortedError';
+  this.message = 'Client aborted the request; transaction was rolled back.';
+};
+
+util.inherits(ClientAbortedError, Error);
+
+/**
+ * An error indicating that a transaction could not begin because too many
+ * transactions were already open & the request could not wait for one to
+ * close (see {@link concurrencyLimiter}).
+ *
+ * @constructor
+ * @param {String} reason Either `queueFull` or `queueTimeout`.
+ * @param {Number} retryAfter The number of seconds after which the client may
+ * retry the request.
+ */
+var OverloadedError = function(reason, retryAfter) {
+  Error.call(this);
+  Error.captureStackTrace(this, OverloadedError);
+  this.name = 'OverloadedError';
+  this.message = reason === 'queueTimeout' ?
+    'Timed out waiting to begin a transaction.' :
+    'Too many requests are waiting to begin a transaction.';
+  this.reason = reason;
+  this.retryAfter = retryAfter;
+  this.status = this.statusCode = 503;
+  this.headers = { 'Retry-After': String(retryAfter) };
+};
+
+util.inherits(OverloadedError, Error);
+
+/**
+ * Create the error for a transaction that timed out.
+ *
+ * @param {Error|Function} [error] The error to use or a function that will be
+ * called with the request, response & timeout to create one. Defaults to a
+ * {@link TimeoutError}.
  * @param {Request} req
+ * @param {Response} res
+ * @param {Number} timeout
+ * @return {Error}
  */
-var setupRequest = function(db, req) {
-  if (req.azul && req.azul.transaction) { return; } // already set up
+var timeoutError = function(error, req, res, timeout) {
+  if (_.isFunction(error)) { return error(req, res, timeout); }
+  return error || new TimeoutError(timeout);
+};
 
-  var transaction = db.query.transaction();
-  var query = db.query.transaction(transaction);
-  req.azul = _.extend({}, req.azul, {
-    transaction: transaction,
-    query: query,
+/**
+ * Create the error for a transaction that could not begin because of the
+ * concurrency limits.
+ *
+ * @param {Error|Function} [error] The error to use or a function that will be
+ * called with the request, response & the {@link OverloadedError} to create
+ * one. Defaults to the {@link OverloadedError}.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {OverloadedError} overloaded
+ * @return {Error}
+ */
+var overloadError = function(error, req, res, overloaded) {
+  if (_.isFunction(error)) { return error(req, res, overloaded); }
+  return error || overloaded;
+};
+
+/**
+ * Get the commit policy function for a set of options. The policy will be
+ * called with the response when it is flushed & decides whether the
+ * transaction should be committed or rolled back.
+ *
+ * @param {Object} options
+ * @param {Function} [options.commitWhen]
+ * @param {Boolean} [options.rollbackOnErrorStatus]
+ * @return {Function}
+ */
+var commitPolicy = function(options) {
+  if (options.commitWhen) { return options.commitWhen; }
+  if (options.rollbackOnErrorStatus) {
+    return function(res) { return (res.statusCode || 200) < 400; };
+  }
+  return _.constant(true);
+};
+
+/**
+ * Create a pool of slots for open transactions. When all slots are taken,
+ * requests for a slot wait in a queue until one is released.
+ *
+ * @param {Number} limit The number of slots.
+ * @param {Number} queueLimit The number of requests that can wait.
+ * @param {Number} retryAfter The number of seconds to use for errors (see
+ * {@link OverloadedError}).
+ * @return {{acquire: Function, counts: Function}} The `acquire` function
+ * gives the promise for a `slot`, which resolves with a function that
+ * releases it, & a function to `cancel` waiting for it. The counts report
+ * limits of `null` when there are none so they can be sent as JSON.
+ */
+var slotPool = function(limit, queueLimit, retryAfter) {
+  var active = 0;
+  var queue = [];
+
+  // a released slot is handed to the next request in the queue (so the
+  // number of active slots stays the same).
+  var release = function() {
+    if (queue.length) { queue.shift()(); }
+    else { active -= 1; }
+  };
+
+  // acquire a slot, which resolves with a function that releases it. a
+  // request that is waiting can be canceled with the error to reject with
+  // (canceling has no effect once the slot has been granted).
+  var acquire = function(timeout) {
+    var cancel = _.noop;
+    var slot;
+    if (active < limit) {
+      active += 1;
+      slot = BPromise.resolve(_.once(release));
+    }
+    else if (queue.length >= queueLimit) {
+      slot = BPromise.reject(new OverloadedError('queueFull', retryAfter));
+    }
+    else {
+      slot = new BPromise(function(resolve, reject) {
+        var timer;
+        var grant = function() {
+          clearTimeout(timer);
+          resolve(_.once(release));
+        };
+        cancel = function(e) {
+          clearTimeout(timer);
+          _.pull(queue, grant);
+          reject(e);
+        };
+        if (timeout) {
+          timer = setTimeout(function() {
+            cancel(new OverloadedError('queueTimeout', retryAfter));
+          }, timeout);
+        }
+        queue.push(grant);
+      });
+    }
+    return { slot: slot, cancel: cancel };
+  };
+
+  var counts = function() {
+    var finite = function(value) { return _.isFinite(value) ? value : null; };
+    return {
+      active: active,
+      queued: queue.length,
+      maxConcurrent: finite(limit),
+      maxQueued: finite(queueLimit),
+    };
+  };
+
+  return { acquire: acquire, counts: counts };
+};
+
+/**
+ * Create a concurrency limiter that controls how many transactions can be
+ * open at once. Transactions for read only requests & all others can have
+ * separate limits.
+ *
+ * @param {Object} options
+ * @param {Number|Object} [options.maxConcurrent] The maximum number of open
+ * transactions or an object with separate `read` & `write` limits. With a
+ * number, reads & writes share the limit (& the counts). Without a limit,
+ * transactions are only counted.
+ * @param {Number|Object} [options.maxQueued] The maximum number of requests
+ * that can wait to begin a transaction, in the same form as `maxConcurrent`.
+ * @param {Number} [options.queueTimeout] The maximum time in milliseconds
+ * that a request can wait to begin a transaction.
+ * @param {Number} [options.retryAfter] The number of seconds to use in the
+ * `Retry-After` header for overloaded requests.
+ * @return {{acquire: Function, counts: Function}} The `acquire` function is
+ * given the kind (`read` or `write`) & otherwise works as it does for a
+ * {@link slotPool}.
+ */
+var concurrencyLimiter = function(options) {
+  var limit = function(value, kind) {
+    var result = _.isObject(value) ? value[kind] : value;
+    return _.isUndefined(result) ? Infinity : result;
+  };
+  var pool = function(kind) {
+    return slotPool(limit(options.maxConcurrent, kind),
+      limit(options.maxQueued, kind), options.retryAfter);
+  };
+  var shared = !_.isObject(options.maxConcurrent) &&
+    !_.isObject(options.maxQueued);
+  var pools = { write: pool('write') };
+  pools.read = shared ? pools.write : pool('read');
+
+  return {
+    acquire: function(kind) {
+      return pools[kind].acquire(options.queueTimeout);
+    },
+    counts: function() {
+      return { read: pools.read.counts(), write: pools.write.counts() };
+    },
+  };
+};
+
+/**
+ * Get the group of transactions that are finalized by a response, creating it
+ * the first time it's needed.
+ *
+ * Creating the group wraps the response's `writeHead`, `write` & `end` so that
+ * the first one of those calls finalizes the transactions (committing or
+ * rolling back each one according to its policy). Transactions are finalized
+ * one after another in the order in which they were set up. If one fails to
+ * commit, those that have not yet been finalized are rolled back. The calls
+ * are held until every transaction has closed.
+ *
+ * When buffering, the calls are held without finalizing the transactions
+ * until `end` is called. If the transactions are then rolled back because of
+ * an error, the held calls are discarded & later calls are no longer held, so
+ * an error response can be produced instead. The same happens when a commit
+ * fails or is vetoed, whether buffering or not.
+ *
+ * When a transaction times out, the response is replaced by the timeout's
+ * error response. Output held for the handler is dropped & the error response
+ * is written without waiting for the transactions to roll back. Calls that
+ * come after it has ended are ignored (see `timeOut`).
+ *
+ * @param {Response} res
+ * @return {{add: Function, buffer: Function, discard: Function,
+ * drop: Function, rollback: Function, timeOut: Function, timedOut: Function,
+ * release: Function}}
+ */
+var responseGroup = function(res) {
+  if (res._azulGroup) { return res._azulGroup; }
+
+  var names = []; // transaction names in the order they were set up
+  var members = {}; // members keyed by transaction name
+  var pending = []; // operations waiting until after commit/rollback
+  var buffered = false; // hold operations until `end`?
+  var discarded = false; // were held operations discarded?
+  var timeout; // `responding` or `responded` once timed out
+
+  var all = function() {
+    return names.map(function(name) { return members[name]; });
+  };
+
+  var closed = function() {
+    return _.every(all(), function(member) { return member.closed(); });
+  };
+
+  // add a member, replacing any existing member with the same name (when a
+  // transaction is retried) while keeping its place in the order.
+  var add = function(name, member) {
+    if (!_.has(members, name)) { names.push(name); }
+    members[name] = member;
+  };
+
+  var buffer = function(enabled) {
+    buffered = (enabled !== false);
+  };
+
+  // discard held operations so an error response can be produced instead.
+  // unless forced, only buffered operations are discarded.
+  var discard = function(force) {
+    if (!buffered && !force) { return; }
+    pending = [];
+    discarded = true;
+  };
+
+  // drop held operations without releasing later ones, i.e. before a route
+  // is retried & produces its response again.
+  var drop = function() {
+    pending = [];
+  };
+
+  // roll back all transactions because of an error
+  var rollback = function(reason) {
+    discard();
+    return BPromise.all(_.invoke(all(), 'rollback', reason));
+  };
+
+  // called by members once they close. the held operations are performed
+  // once all have closed.
+  var release = function() {
+    if (!closed()) { return; }
+    var operations = pending;
+    pending = [];
+    operations.forEach(function(fn) {
+      fn();
+    });
+  };
+
+  var finalize = function() {
+    var failed = false;
+    return BPromise.each(all(), function(member) {
+      if (failed) { return member.rollback('commitError'); }
+      return member.finalize().catch(_.noop).then(function() {
+        failed = member.failed();
+      });
+    });
+  };
+
+  // a timeout replaces the response. output held for the handler is dropped &
+  // later writes are no longer held, so the error response can be written
+  // while the rollback is still waiting (i.e. for a statement that's stuck on
+  // a lock). writes from wrapped handlers are ignored by their response view
+  // (see responseView) & writes that come after the error response has ended
+  // are late.
+  var timeOut = function() {
+    timeout = 'responding';
+    discard(true);
+    return rollback('timeout');
+  };
+
+  var timedOut = function() {
+    return Boolean(timeout);
+  };
+
+  var ignoreLate = function(fn, ends) {
+    return function() {
+      if (timeout === 'responded') { return; }
+      if (timeout && ends) { timeout = 'responded'; }
+      return fn.apply(this, arguments);
+    };
+  };
+
+  var triggerFinalize = function(fn, ends) {
+    return function() {
+      if (!closed() && !discarded) {
+        pending.push(fn.apply.bind(fn, this, arguments));
+        if (!buffered || ends) { finalize(); }
+      }
+      else {
+        fn.apply(this, arguments);
+      }
+    };
+  };
+
+  // the status code given to `writeHead` needs to be known by the policies
+  // before the original `writeHead` gets called.
+  var recordStatus = function(fn) {
+    return function(statusCode) {
+      if (_.isNumber(statusCode)) { res.statusCode = statusCode; }
+      return fn.apply(this, arguments);
+    };
+  };
+
+  res.writeHead = ignoreLate(recordStatus(triggerFinalize(res.writeHead)));
+  res.write = ignoreLate(triggerFinalize(res.write));
+  res.end = ignoreLate(triggerFinalize(res.end, true), true);
+
+  var group = {
+    add: add,
+    buffer: buffer,
+    discard: discard,
+    drop: drop,
+    rollback: rollback,
+    timeOut: timeOut,
+    timedOut: timedOut,
+    release: release,
+  };
+  Object.defineProperty(res, '_azulGroup', { value: group });
+  return group;
+};
+
+/**
+ * Create a view of a response to give to a route's handler. The view works
+ * like the response itself (its properties & status are read & written
+ * through to the response), but once `ignored` returns `true`, the handler
+ * can no longer change the response: `writeHead`, `write` & `end` do nothing
+ * & properties are no longer written.
+ *
+ * This is how writes from a handler that has timed out are told apart from
+ * those of the error handler that produces the timeout's response, since the
+ * error handler is given the response itself. Handlers that are not wrapped
+ * write to the response directly, so their late writes cannot be told apart.
+ *
+ * @param {Response} res
+ * @param {Function} ignored
+ * @return {Response} The view.
+ */
+var responseView = function(res, ignored) {
+  var view = Object.create(res);
+  var methods = ['writeHead', 'write', 'end'];
+  var keys = _.union(Object.getOwnPropertyNames(res),
+    ['statusCode', 'statusMessage']);
+  if (Object.getOwnPropertySymbols) { // internal state of node's responses
+    keys = keys.concat(Object.getOwnPropertySymbols(res));
+  }
+  _.difference(keys, methods).forEach(function(key) {
+    Object.defineProperty(view, key, {
+      get: function() { return res[key]; },
+      set: function(value) { if (!ignored()) { res[key] = value; } },
+    });
+  });
+  methods.forEach(function(method) {
+    Object.defineProperty(view, method, {
+      value: function() {
+        return ignored() ? undefined : res[method].apply(res, arguments);
+      },
+    });
   });
+  return view;
+};
+
+/**
+ * Transactions that have been set up in development mode & have not yet
+ * reached a commit or rollback, in the order in which they were set up (see
+ * {@link trackLeaks}).
+ *
+ * @type {Array.<{req: Request, name: ?String, startedAt: Number}>}
+ */
+var trackedTransactions = [];
+
+/**
+ * Describe a request by its method & route, i.e. `GET /articles/:id`. The
+ * route's path is used when the router has matched one & the URL otherwise.
+ *
+ * @param {Request} req
+ * @return {String}
+ */
+var describeRequest = function(req) {
+  var path = (req.route && req.route.path) || req.originalUrl || req.url;
+  return _.compact([req.method, path]).join(' ') || 'unknown request';
+};
+
+/**
+ * Track a transaction so that it can be reported if it leaks, that is if it
+ * is still open once the response has finished (or closed) or once it is
+ * older than the leak age. Each transaction is reported at most once.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Object} options
+ * @param {String} [options.name] The name of the transaction.
+ * @param {Number} [options.leakAge] The age in milliseconds after which the
+ * transaction is reported.
+ * @param {Function} report A function that is given the reason (`finish`,
+ * `close` or `age`) & a message when the transaction leaks.
+ * @return {Function} A function to stop tracking once the transaction reaches
+ * a commit or rollback.
+ */
+var trackLeaks = function(req, res, options, report) {
+  var entry = { req: req, name: options.name, startedAt: Date.now() };
+  var reported = false;
+  var timer;
+
+  var leak = function(reason) {
+    if (reported || !_.includes(trackedTransactions, entry)) { return; }
+    reported = true;
+    report(reason, util.format('Transaction%s for %s is still open %s.',
+      entry.name ? ' ' + entry.name : '', describeRequest(req),
+      reason === 'age' ?
+        util.format('after %dms', Date.now() - entry.startedAt) :
+        util.format('after the response %s', reason === 'finish' ?
+          'finished' : 'closed')));
+  };
+
+  trackedTransactions.push(entry);
+  if (options.leakAge) {
+    timer = setTimeout(_.partial(leak, 'age'), options.leakAge);
+    if (timer.unref) { timer.unref(); } // never keep the process running
+  }
+  if (res.once) {
+    res.once('finish', _.partial(leak, 'finish'));
+    res.once('close', _.partial(leak, 'close'));
+  }
+
+  return function() {
+    clearTimeout(timer);
+    _.pull(trackedTransactions, entry);
+  };
 };
 
 /**
  * Setup a response object, adding azul functionality.
  *
+ * The `begin` function that is added accepts transaction options (see
+ * {@link beginQuery}). They only apply if the transaction has not already
+ * begun.
+ *
+ * Hooks can be added for when the outcome of the transaction is known:
+ *
+ *   - `beforeCommit(fn)` is called just before the commit. If it throws or
+ *     returns a rejected promise, the transaction is rolled back instead & the
+ *     error is passed to `next`.
+ *   - `afterCommit(fn)` is called once the commit has completed.
+ *   - `afterRollback(fn)` is called once the rollback has completed.
+ *
+ * After hooks run once the response has been released, so any errors that
+ * they produce are ignored.
+ *
+ * The `timeout(ms)` function that is added sets (or replaces) a timer for the
+ * transaction. If it fires before the transaction closes, the transaction is
+ * rolled back & the timeout error is passed to `next` right away (the rollback
+ * may be waiting for a statement that's stuck). After that, the response will
+ * ignore writes once the error response has been sent & the `timedOut`
+ * function that is added will return `true`.
+ *
+ * When rolling back on abort, the request's `aborted` event & the response's
+ * `close` event (before it has finished) will roll back the transaction right
+ * away. Any later commit will be rejected with a {@link ClientAbortedError}.
+ *
+ * The transaction becomes part of the response's group (see
+ * {@link responseGroup}), so timeouts & aborts roll back every transaction in
+ * the group.
+ *
+ * When given an event emitter, the following events are emitted with an
+ * object containing the `req`, the `transaction` & the `duration` in
+ * milliseconds since the `BEGIN` was issued:
+ *
+ *   - `begin` once the `BEGIN` has completed.
+ *   - `commit` & `rollback` once they have completed. Rollbacks also include
+ *     the `reason` for the rollback, which is one of `manual` (via
+ *     `res.azul.rollback`), `next` (an error was passed to `next` or thrown by
+ *     a route), `error` (the error middleware), `abort`, `timeout`, `policy`
+ *     (the commit policy), `veto` (a before commit hook), `retry` or
+ *     `commitError` (another transaction in the group failed to commit).
+ *   - `commitError` & `rollbackError` when they fail. These include the
+ *     `error` (& the `reason` for rollbacks).
+ *   - `timeout` when the transaction times out. This includes the `timeout`.
+ *   - `overload` when the transaction cannot begin because of the concurrency
+ *     limits. This includes the `reason` (see {@link OverloadedError}).
+ *
+ * Nothing is emitted for a commit or rollback of a transaction that never
+ * began.
+ *
+ * In development mode, the transaction is also tracked until it reaches a
+ * commit or rollback. If it leaks (see {@link trackLeaks}), a warning is
+ * written to the console & a `leak` event is emitted that also includes the
+ * `reason` (`finish`, `close` or `age`) & the `message`.
+ *
  * @param {Database} db
  * @param {Request} req
  * @param {Response} res
  * @param {Function} next
+ * @param {Object} options
+ * @param {Function} [options.commitWhen] The commit policy (see
+ * {@link commitPolicy}).
+ * @param {Boolean} [options.rollbackOnErrorStatus] Use a commit policy that
+ * rolls back when the response has a 4xx or 5xx status.
+ * @param {Number} [options.timeout] The timeout for the transaction.
+ * @param {Error|Function} [options.timeoutError] The error to use when the
+ * transaction times out (see {@link timeoutError}).
+ * @param {Boolean} [options.rollbackOnAbort] Roll back when the client
+ * disconnects.
+ * @param {String} [options.name] The name of the transaction (see
+ * {@link scope}).
+ * @param {Boolean} [options.buffer] Buffer the response until it ends (see
+ * {@link responseGroup}).
+ * @param {Boolean} [options.development] Track the transaction to detect
+ * leaks.
+ * @param {Number} [options.leakAge] The age at which an open transaction is
+ * reported as a leak in development mode.
+ * @param {String} [options.mode] The mode, which controls how commits end the
+ * transaction (see {@link transactionModes}).
+ * @param {Object} [options.limiter] The concurrency limiter from which a slot
+ * is taken before the transaction begins (see {@link concurrencyLimiter}).
+ * @param {Error|Function} [options.overloadError] The error to use when no
+ * slot can be taken (see {@link overloadError}).
+ * @param {EventEmitter} [events] The emitter for transaction events.
  */
-var setupResponse = function(db, req, res, next) {
-  if (res.azul && res.azul.commit) { return; } // already set up
+var setupResponse = function(db, req, res, next, options, events) {
+  var existing = scope(res, options.name);
+  if (existing && existing.commit) { return; } // already set up
 
-  var transaction = req.azul.transaction;
-  var pending = []; // operations waiting until after commit/rollback
+  var transaction = scope(req, options.name).transaction;
+  var policy = commitPolicy(options);
+  var group = responseGroup(res);
+  var began; // promise for the `BEGIN`, once it has been issued
+  var beganAt; // time at which the `BEGIN` was issued
   var closing = false; // has commit/rollback begun?
   var closed = false; // is transaction closed?
+  var outcome; // the action that closed the transaction
+  var failed = false; // was the commit vetoed or did the commit/rollback fail?
+  var timer; // timer for the transaction timeout
+  var timedOut = false; // did the transaction time out?
+  var aborted = false; // did the client disconnect?
+  var ending; // promise for the commit/rollback, before after hooks run
   var promise;
+  var hooks = { beforeCommit: [], afterCommit: [], afterRollback: [] };
+  var untrack = _.noop; // stops leak detection
+  var releaseSlot = _.noop; // releases the concurrency limiter slot
+  var cancelSlot = _.noop; // stops waiting for a concurrency limiter slot
+
+  var emit = function(event, details) {
+    if (!events) { return; }
+    events.emit(event, _.extend({
+      req: req,
+      transaction: transaction,
+      duration: beganAt && Date.now() - beganAt,
+    }, details));
+  };
+
+  var closedError = function() {
+    return new Error('Transaction has already been closed.');
+  };
+
+  // take a slot from the concurrency limiter (if there is one) before the
+  // transaction begins. when none can be had, the overload error is used &
+  // the client is told when to retry. waiting stops if the transaction
+  // closes (i.e. it times out) in the meantime.
+  var acquireSlot = function(kind) {
+    if (!options.limiter) { return BPromise.resolve(); }
+    var request = options.limiter.acquire(kind);
+    cancelSlot = request.cancel;
+    return request.slot.then(function(release) {
+      releaseSlot = release;
+    }, function(e) {
+      if (!(e instanceof OverloadedError)) { throw e; }
+      emit('overload', { reason: e.reason });
+      if (res.setHeader && !res.headersSent) {
+        res.setHeader('Retry-After', String(e.retryAfter));
+      }
+      throw overloadError(options.overloadError, req, res, e);
+    });
+  };
+
+  // the transaction begins with the options first given & later options are
+  // changes (see transactionBegin).
+  var beginWith = transactionBegin(db, transaction, function(opts) {
+    began = acquireSlot(opts.readOnly ? 'read' : 'write').then(function() {
+      if (closing) { throw closedError(); } // closed while waiting for a slot
+      beganAt = Date.now();
+      return beginQuery(db, transaction, opts).execute();
+    })
+    .tap(function() { emit('begin'); });
+    return began;
+  });
+
+  var begin = function(beginOptions) {
+    if (!began && closing) {
+      return BPromise.reject(closedError());
+    }
+    return beginWith(beginOptions || {});
+  };
 
   var close = function() {
     closed = true;
-    pending.forEach(function(fn) {
-      fn();
-    });
+    group.release();
   };
 
-  var commit = function() {
-    if (closing) { return promise; }
-    closing = true;
-    promise = transaction.commit().execute().then(close).catch(next);
-    return promise;
+  // execute the commit or rollback. if the transaction never began (or failed
+  // to begin), there's nothing to execute. either way, the transaction no
+  // longer needs its concurrency limiter slot.
+  var execute = function(action, reason) {
+    var details = action === 'rollback' ? { reason: reason } : {};
+    return BPromise.resolve(began && began.then(function() {
+      var query = endQuery(db, transaction, action, options);
+      return query.execute().then(function() {
+        emit(action, details);
+      }, function(e) {
+        emit(action + 'Error', _.extend({ error: e }, details));
+        throw e;
+      });
+    }, _.noop))
+    .finally(function() { releaseSlot(); });
   };
 
-  var rollback = function() {
+  // end the transaction with the given action (commit or rollback). a commit
+  // can be vetoed by a before commit hook, in which case the transaction is
+  // rolled back & the error is passed on.
+  var end = function(action, reason) {
     if (closing) { return promise; }
     closing = true;
-    promise = transaction.rollback().execute().then(close).catch(next);
+    clearTimeout(timer);
+    cancelSlot(closedError());
+    untrack();
+
+    var veto;
+    var prepare = action === 'commit' ?
+      series(hooks.beforeCommit) :
+      BPromise.resolve();
+
+    ending = prepare.catch(function(e) {
+      veto = e;
+      failed = true;
+      action = 'rollback';
+      reason = 'veto';
+    })
+    .then(function() { return execute(action, reason); })
+    .then(function() {
+      outcome = action;
+      if (!veto) { close(); }
+    }, function(e) {
+      failed = true;
+      throw e;
+    });
+
+    promise = ending.then(function() {
+      return settle(outcome === 'commit' ? hooks.afterCommit :
+        hooks.afterRollback);
+    })
+    .then(function() { if (veto) { throw veto; } })
+    .catch(function(e) {
+      group.discard(true); // the error response replaces held output
+      close();
+      next(e);
+    });
     return promise;
   };
 
-  var triggerCommit = function(fn) {
-    return function() {
-      if (!closed) {
-        pending.push(fn.apply.bind(fn, this, arguments));
-        commit();
-      }
-      else {
-        fn.apply(this, arguments);
-      }
-    };
+  var commit = function() {
+    return aborted ?
+      BPromise.reject(new ClientAbortedError()) :
+      end('commit');
+  };
+
+  var rollback = function(reason) {
+    return end('rollback', reason || 'manual');
+  };
+
+  // commit or roll back according to the policy (unless already closing)
+  // for the response group. this resolves before the after hooks run.
+  var finalize = function() {
+    if (!closing) {
+      if (policy(res)) { commit(); }
+      else { rollback('policy'); }
+    }
+    return ending;
+  };
+
+  var abort = function() {
+    if (closing || res.finished) { return; }
+    aborted = true;
+    group.rollback('abort');
+  };
+
+  var beforeCommit = function(fn) {
+    if (closing) {
+      throw new Error('Cannot add before commit hook once closing.');
+    }
+    hooks.beforeCommit.push(fn);
+  };
+
+  // after hooks that are added once the outcome is known will run right away
+  // if they apply to that outcome.
+  var after = function(type, fn) {
+    if (!outcome) { hooks[type].push(fn); }
+    else if (type === (outcome === 'commit' ? 'afterCommit' : 'afterRollback')) {
+      settle([fn]);
+    }
+  };
+
+  var timeout = function(ms) {
+    clearTimeout(timer);
+    if (!ms || closing) { return; }
+    timer = setTimeout(function() {
+      timedOut = true;
+      emit('timeout', { timeout: ms });
+      group.timeOut();
+      next(timeoutError(options.timeoutError, req, res, ms));
+    }, ms);
+  };
+
+  if (options.buffer) { group.buffer(); }
+  group.add(options.name || '', {
+    closed: function() { return closed; },
+    failed: function() { return failed; },
+    finalize: finalize,
+    rollback: rollback,
+  });
+
+  extendScope(res, options.name, {
+    begin: begin,
+    commit: commit,
+    rollback: rollback,
+    closing: function() { return closing; },
+    beforeCommit: beforeCommit,
+    afterCommit: _.partial(after, 'afterCommit'),
+    afterRollback: _.partial(after, 'afterRollback'),
+    timeout: timeout,
+    timedOut: function() { return timedOut; },
+  });
+
+  timeout(options.timeout);
+
+  if (options.development) {
+    untrack = trackLeaks(req, res, options, function(reason, message) {
+      console.warn('azul-transaction: %s', message);
+      emit('leak', { reason: reason, message: message });
+    });
+  }
+
+  if (options.rollbackOnAbort) {
+    if (req.once) { req.once('aborted', abort); }
+    if (res.once) { res.once('close', abort); }
+  }
+};
+
+/**
+ * Start the transaction for a request. When lazy, this only arranges for the
+ * transaction to begin when the first query runs.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Object} options Transaction options.
+ * @param {Boolean} [options.lazy] Defer the `BEGIN` until the first query.
+ * @param {String} [options.name] The name of the transaction.
+ * @return {Promise}
+ */
+var startTransaction = function(req, res, options) {
+  var begin = _.partial(scope(res, options.name).begin, options);
+  if (options.lazy) {
+    deferBegin(scope(req, options.name).transaction, begin);
+  }
+  return options.lazy ? BPromise.resolve() : begin();
+};
+
+/**
+ * Error codes for failures that are expected to succeed if the transaction is
+ * retried. This includes serialization failures & deadlocks for PostgreSQL
+ * (by SQLSTATE), deadlocks for MySQL, and busy databases for SQLite.
+ *
+ * @type {Array.<String>}
+ */
+var retryableCodes = ['40001', '40P01', 'ER_LOCK_DEADLOCK', 'SQLITE_BUSY'];
+
+/**
+ * Determine if an error is one for which a transaction should be retried.
+ *
+ * @param {Error} e
+ * @return {Boolean}
+ */
+var isRetryable = function(e) {
+  return !!e && (_.contains(retryableCodes, e.code) ||
+    _.contains(retryableCodes, e.sqlState));
+};
+
+/**
+ * Get the delay before a retry.
+ *
+ * @param {Number|Function} backoff The base delay in milliseconds, doubled for
+ * each subsequent attempt, or a function that will be called with the attempt
+ * number & returns the delay.
+ * @param {Number} attempt The attempt number (starting at one).
+ * @return {Number}
+ */
+var backoff = function(backoff, attempt) {
+  return _.isFunction(backoff) ?
+    backoff(attempt) :
+    backoff * Math.pow(2, attempt - 1);
+};
+
+/**
+ * An error indicating that a route was retried as many times as it is
+ * allowed & still failed.
+ *
+ * @constructor
+ * @param {Error} cause The error from the final attempt.
+ * @param {Number} retries The number of retries that were made.
+ */
+var RetryError = function(cause, retries) {
+  Error.call(this);
+  Error.captureStackTrace(this, RetryError);
+  this.name = 'RetryError';
+  this.message = util.format('Transaction failed after %d %s: %s',
+    retries, retries === 1 ? 'retry' : 'retries', cause.message);
+  this.cause = cause;
+  this.retries = retries;
+};
+
+util.inherits(RetryError, Error);
+
+/**
+ * An error indicating that an idempotency key was reused for a request that
+ * differs from the one whose response was stored for it (see
+ * {@link idempotentRoute}).
+ *
+ * @constructor
+ * @param {String} key The idempotency key.
+ */
+var IdempotencyKeyReusedError = function(key) {
+  Error.call(this);
+  Error.captureStackTrace(this, IdempotencyKeyReusedError);
+  this.name = 'IdempotencyKeyReusedError';
+  this.message = util.format(
+    'Idempotency key %j has already been used for a different request.', key);
+  this.key = key;
+  this.status = this.statusCode = 422;
+};
+
+util.inherits(IdempotencyKeyReusedError, Error);
+
+/**
+ * Reset the transaction for a request & response so that they can be set up
+ * again with a new transaction. The existing transaction must already be
+ * closed.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {String} [name] The name of the transaction.
+ */
+var resetTransaction = function(req, res, name) {
+  var reset = function(obj, properties) {
+    var values = _.omit(scope(obj, name), properties);
+    obj.azul = name ?
+      _.extend({}, obj.azul, _.object([[name, values]])) :
+      values;
   };
-
-  res.writeHead = triggerCommit(res.writeHead);
-  res.write = triggerCommit(res.write);
-  res.end = triggerCommit(res.end);
-  res.azul = _.extend({}, res.azul, {
-    commit: commit,
-    rollback: rollback,
-  });
+  reset(req, requestProperties);
+  reset(res, responseProperties);
 };
 
 /**
- * Wrap a next function so that it performs a rollback on the transaction if
- * called with an error.
+ * Wrap a next function so that it commits the transaction if called without
+ * an error & performs a rollback on all of the response's transactions if
+ * called with an error. Calls made after the transaction has timed out are
+ * ignored since the timeout has already been passed on.
  *
  * @param {Database} db
  * @param {Request} req
  * @param {Response} res
  * @param {Function} next
+ * @param {String} [name] The name of the transaction.
  * @return {Function}
  */
-var wrapNext = function(db, req, res, next) {
+var wrapNext = function(db, req, res, next, name) {
   return function() {
     var args = _.toArray(arguments);
     var promise = BPromise.resolve();
-    if (!args[0]) {
-      promise = res.azul.commit();
+    if (scope(res, name).timedOut()) {
+      return promise;
+    }
+    else if (!args[0]) {
+      promise = scope(res, name).commit();
     }
     else if (args[0] instanceof Error) {
-      promise = res.azul.rollback();
+      promise = responseGroup(res).rollback('next');
     }
     else {
       throw new Error('Unexpected call to `next` with non-error.');
@@ -107,29 +1869,44 @@ var wrapNext = function(db, req, res, next) {
 };
 
 /**
- * Make middleware for a specific database.
+ * Make middleware for a specific database. The middleware is also an event
+ * emitter for transaction events (see {@link setupResponse}).
  *
  * @param {Database} db
+ * @param {Object} options
  * @return {Function} The middleware.
  */
-var middleware = function(db) {
-  return function(req, res, next) {
-    setupRequest(db, req);
-    setupResponse(db, req, res, next);
-    req.azul.transaction.begin().then(_.ary(next, 0), next);
+var middleware = function(db, options) {
+  var fn = function(req, res, next) {
+    // a transaction that closes before it has begun (i.e. it timed out while
+    // waiting for a slot) has already been dealt with, so the request goes no
+    // further.
+    var proceed = function(/*err*/) {
+      if (!scope(res, options.name).closing()) { next.apply(null, arguments); }
+    };
+    setupRequest(db, req, options);
+    setupResponse(db, req, res, next, options, fn);
+    startTransaction(req, res, options).then(_.ary(proceed, 0), proceed);
   };
+  _.extend(fn, EventEmitter.prototype);
+  EventEmitter.call(fn);
+  return fn;
 };
 
 /**
  * Make error middleware. This assumes that the main middleware has already
- * been installed.
+ * been installed. All of the response's transactions are rolled back. Once
+ * they have timed out, the error is passed on without waiting for the rollback
+ * that the timeout started.
  *
  * @param {Database} db
  * @return {Function} The middleware.
  */
 var errorMiddleware = function(/*db*/) {
   return function(err, req, res, next) {
-    res.azul.rollback().return(err).then(next).catch(next);
+    var group = responseGroup(res);
+    if (group.timedOut()) { return next(err); } // already rolling back
+    group.rollback('error').return(err).then(next).catch(next);
   };
 };
 
@@ -162,81 +1939,365 @@ var makeExpressErrorRoute = function(fn) {
 };
 
 /**
- * Create a model class binder function.
+ * Determine if a value is a promise (or any other thenable).
  *
- * The resulting function should be called with the name of a model to bind. A
- * bound model will be created from that name. All relationships on that model
- * will also be bound properly. The result is a model that you can safely use
- * that has been bound to the query/transaction.
- *
- * @param {Database} db
- * @param {Request} req
- * @return {Function}
+ * @param {?} value
+ * @return {Boolean}
  */
-var modelBinder = function(db, req) {
-  var query = req.azul.query;
-  var bound = {};
-  var bind = function(/*name*/) {
-    var name = arguments[0].toLowerCase();
-    if (!bound[name]) {
-      var subclass = bound[name] = db.model(name).extend();
-      var prototype = subclass.__class__.prototype;
-
-      // create an override of each relation defined on the model with the
-      // relation's model classes swapped out for bound models. note that no
-      // re-configuration will occur for the relation objects. they'll simply
-      // use a different model class when creating or accessing instances.
-      _.keysIn(prototype).filter(function(key) {
-        return key.match(/Relation$/);
-      })
-      .forEach(function(key) {
-        // TODO: we're accessing protected variables on the relation here. it
-        // would be a good idea to expose a tested method in the main azul
-        // project that we're sure will exist.
-        var relation = Object.create(prototype[key]); // copy relation
-        relation._modelClass = bind(relation._modelClass.__name__);
-        relation._relatedModel = bind(relation._relatedModel.__name__);
-        Object.defineProperty(prototype, key, { // redefine property
-          enumerable: true, get: function() { return relation; },
-        });
-      });
-
-      // redefine the query object on this model class
-      subclass.reopenClass({ query: query });
-    }
-    return bound[name];
-  };
-  return bind;
+var isThenable = function(value) {
+  return !!value && _.isFunction(value.then);
 };
 
 /**
- * A wrapper for Express routes that binds queries & model classes to the
- * transaction.
+ * Determine if a parameter name is one that azul will inject, that is `query`
+ * or the name of a model class. Either may be prefixed with the name of a
+ * transaction, i.e. `analytics.query` or `analytics.Event`, to inject from
+ * that transaction (such names can only be given via the `params` or `inject`
+ * options).
  *
- * @param {Database} db The Azul.js database on which bindings should be created.
- * @param {Function} fn The Express route to wrap.
- * @return {Function} The wrapped route.
+ * @param {String} name
+ * @return {Boolean}
  */
-var route = function(db, fn) {
+var isAzulParam = function(name) {
+  return !!name.match(/^([A-Za-z_$][\w$]*\.)?([A-Z]\w*|query)$/);
+};
 
+/**
+ * Determine the parameter names of a function from its source. This does not
+ * handle every way in which parameters can be written, so it is only used as
+ * a fallback when parameters are not declared.
+ *
+ * @param {Function} fn
+ * @return {Array.<String>}
+ */
+var sourceParams = function(fn) {
   var match = fn.toString().match(/function.*?\((.*?)\)/i);
-  var params = _.invoke(match[1].split(','), 'trim');
-  var isAzulParam = function(arg) { return arg.match(/^([A-Z]\w*|query)$/); };
-  var isExpressParam = _.negate(isAzulParam);
+  if (!match) {
+    throw new Error('Could not determine route arguments, declare them via ' +
+      'the `params` or `inject` options.');
+  }
+  return _.invoke(match[1].split(','), 'trim');
+};
+
+/**
+ * Determine the parameters of a route function & split them into the leading
+ * parameters that the web framework provides & the trailing parameters that
+ * azul should inject (`query` & model class names).
+ *
+ * Parameters can be declared explicitly via options:
+ *
+ *   - `params` lists every parameter, i.e. `['req', 'res', 'Article']`.
+ *   - `inject` lists only the injected parameters, i.e. `['Article']`. The
+ *     number of leading parameters is taken from the function's length.
+ *
+ * Otherwise, they will be determined from the function's source.
+ *
+ * @param {Function} fn
+ * @param {Object} options
+ * @param {Array.<String>} [options.params]
+ * @param {Array.<String>} [options.inject]
+ * @return {{framework: Array.<String>, azul: Array.<String>}}
+ */
+var parseParams = function(fn, options) {
+  var params = options.params;
+  if (!params && options.inject) {
+    var count = fn.length - options.inject.length;
+    if (count < 0 || !_.every(options.inject, isAzulParam)) {
+      throw new Error('Unexpected injections: ' + options.inject.join(', '));
+    }
+    params = [].concat(_.times(count, function(i) {
+      return 'arg' + i; // names of framework params are not needed
+    }), options.inject);
+  }
+  params = params || sourceParams(fn);
 
-  var expressParams = _(params)
-    .takeWhile(isExpressParam)
+  var isFrameworkParam = _.negate(isAzulParam);
+  var frameworkParams = _(params)
+    .takeWhile(isFrameworkParam)
     .value();
 
   var azulParams = _(params)
-    .drop(expressParams.length)
+    .drop(frameworkParams.length)
     .takeWhile(isAzulParam)
     .value();
 
-  if (expressParams.length + azulParams.length !== params.length) {
+  if (frameworkParams.length + azulParams.length !== params.length) {
     throw new Error('Unexpected arguments: ' + params.join(', '));
   }
 
+  return { framework: frameworkParams, azul: azulParams };
+};
+
+/**
+ * Create the injected azul arguments for a route.
+ *
+ * @param {Object} req The request (or any object that has been set up via
+ * {@link setupRequest}).
+ * @param {Array.<String>} params The azul parameter names.
+ * @param {String} [name] The name of the route's transaction, used for params
+ * that are not prefixed with a transaction name.
+ * @return {Array}
+ * @throws {Error} If a named transaction has not been set up.
+ */
+var injections = function(req, params, name) {
+  return params.map(function(param) {
+    var parts = param.split('.');
+    var arg = parts.pop();
+    var namespace = parts[0] || name;
+    var azul = scope(req, namespace);
+    if (!azul || !azul.transaction) {
+      throw new Error(util.format('No transaction named %s has been set up ' +
+        'for this request.', namespace));
+    }
+    return arg === 'query' ? azul.query : azul.model(arg);
+  });
+};
+
+/**
+ * Take the lock for a route (see {@link locker}) if it has one. The route's
+ * `lock` option is a function that is given the request (or Koa context) &
+ * returns the key to lock (or nothing to skip locking).
+ *
+ * @param {Request|Context} req
+ * @param {Object} options The route's options.
+ * @param {Function} [options.lock]
+ * @param {String} [name] The name of the transaction.
+ * @return {Promise}
+ */
+var routeLock = function(req, options, name) {
+  var key = options.lock && options.lock(req);
+  var missing = _.isUndefined(key) || _.isNull(key);
+  return missing ? BPromise.resolve() : scope(req, name).lock(key);
+};
+
+/**
+ * Normalize the `idempotency` option of a route.
+ *
+ * @param {Boolean|Object} option
+ * @return {?{table: String, header: String, wait: Boolean, scope: ?Function}}
+ */
+var idempotencyOptions = function(option) {
+  if (!option) { return null; }
+  return _.defaults({}, _.isObject(option) ? option : {}, {
+    table: 'idempotency_keys',
+    header: 'Idempotency-Key',
+    wait: true,
+    scope: null,
+  });
+};
+
+/**
+ * Record the status, headers & body of a response as they pass through its
+ * `writeHead`, `write` & `end` (before they're held by the transaction's
+ * response group).
+ *
+ * @param {Response} res
+ * @return {Function} A function that returns the captured response as an
+ * object with the `status`, `headers`, `body` & whether it has `ended`.
+ */
+var captureResponse = function(res) {
+  var headers = {};
+  var chunks = [];
+  var ended = false;
+  var writeHead = res.writeHead;
+  var write = res.write;
+  var end = res.end;
+  var record = function(chunk) {
+    if (!_.isUndefined(chunk) && !_.isNull(chunk) && !_.isFunction(chunk)) {
+      chunks.push(String(chunk));
+    }
+  };
+
+  res.writeHead = function() {
+    var values = _.find(_.rest(arguments), _.isPlainObject);
+    _.forEach(values, function(value, header) {
+      headers[header.toLowerCase()] = value;
+    });
+    return writeHead.apply(this, arguments);
+  };
+  res.write = function(chunk) {
+    record(chunk);
+    return write.apply(this, arguments);
+  };
+  res.end = function(chunk) {
+    if (!ended) { record(chunk); }
+    ended = true;
+    return end.apply(this, arguments);
+  };
+
+  return function() {
+    var set = res.getHeaders ? res.getHeaders() : res._headers;
+    return {
+      status: res.statusCode || 200,
+      headers: _.extend({}, set, headers),
+      body: chunks.join(''),
+      ended: ended,
+    };
+  };
+};
+
+/**
+ * Make a route idempotent for requests that have an idempotency key.
+ *
+ * The key is locked (see {@link locker}) so that duplicate requests wait for
+ * the first to finish (or, when not waiting, fail with a status of 409). If a
+ * response has been stored for the key, it's replayed (with an
+ * `Idempotent-Replayed` header) instead of running the route. Otherwise, the
+ * response is buffered & stored just before the transaction commits, so the
+ * key commits atomically with everything else the route did. Routes must end
+ * the response before the commit, or the commit is vetoed.
+ *
+ * Keys are scoped to the method & path of the request, along with the value
+ * that the `scope` function returns for it (i.e. the id of the user), so the
+ * same key sent to another endpoint or by another user is a different key.
+ * The key that is stored is a hash of all of these & the name of the lock is
+ * a hash of the table & that key, which keeps it within MySQL's limit of 64
+ * characters. A fingerprint of the request (its method, URL & body) is stored
+ * with the response. When a key is reused for a request with a different
+ * fingerprint, the route fails with an {@link IdempotencyKeyReusedError} (with
+ * a status of 422) rather than replaying the response.
+ *
+ * With `repeatable read` or `serializable` isolation, PostgreSQL takes the
+ * transaction's snapshot when the lock is requested, before a duplicate has
+ * waited for the first request to commit. When no response is found, it's
+ * looked for again outside of the transaction so that one stored during the
+ * wait is still replayed. MySQL takes its snapshot at the first read of a
+ * table instead, so the lookup within the transaction sees the stored response
+ * unless tables were read earlier in the transaction.
+ *
+ * The table must have a unique `key` (text), a `fingerprint` (text), a
+ * `status` (integer) & `headers` & `body` (text) columns.
+ *
+ * @param {Database} db
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Object} options The route's options.
+ * @param {Boolean|Object} [options.idempotency] Either `true` or an object
+ * with the `table` (defaults to `idempotency_keys`), the `header` (defaults
+ * to `Idempotency-Key`), whether to `wait` for duplicates (defaults to
+ * `true`) & a `scope` function that is given the request & returns the value
+ * to scope keys by.
+ * @param {String} [name] The name of the transaction.
+ * @param {String} [isolation] The isolation level of the transaction.
+ * @return {Promise} A promise that resolves with whether the response was
+ * replayed.
+ */
+var idempotentRoute = function(db, req, res, options, name, isolation) {
+  var opts = idempotencyOptions(options.idempotency);
+  var key = opts && req.headers && req.headers[opts.header.toLowerCase()];
+  if (!key) { return BPromise.resolve(false); }
+
+  var azul = scope(req, name);
+  var level = isolation && isolationLevel(isolation);
+  var snapshot = (level === 'REPEATABLE READ' || level === 'SERIALIZABLE') &&
+    dialect(db) === 'pg' && !azul.transaction._azulSavepoint;
+  var hash = function(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+  };
+  var path = url.parse(req.originalUrl || req.url || '').pathname;
+  var scoped = hash(JSON.stringify([req.method, path,
+    opts.scope ? opts.scope(req) : null, key]));
+  var fingerprint = hash(JSON.stringify([req.method,
+    req.originalUrl || req.url, req.body]));
+  var lock = 'idempotency:' + hash(opts.table + ':' + scoped);
+  var find = function(query) {
+    return BPromise.resolve(query.select(opts.table).where({ key: scoped }))
+    .then(function(result) { return result.rows[0]; });
+  };
+
+  return azul.lock(lock, { wait: opts.wait }).then(function() {
+    return find(azul.query);
+  })
+  .then(function(stored) {
+    return stored || (snapshot ? find(db.query) : undefined);
+  })
+  .then(function(stored) {
+    if (stored && stored.fingerprint !== fingerprint) {
+      throw new IdempotencyKeyReusedError(key);
+    }
+    if (stored) {
+      res.statusCode = stored.status;
+      _.forEach(JSON.parse(stored.headers || '{}'), function(value, header) {
+        res.setHeader(header, value);
+      });
+      res.setHeader('Idempotent-Replayed', 'true');
+      res.end(stored.body);
+      return true;
+    }
+
+    var captured = captureResponse(res);
+    responseGroup(res).buffer();
+    scope(res, name).beforeCommit(function() {
+      var response = captured();
+      if (!response.ended) {
+        throw new Error('Idempotent routes must end the response before ' +
+          'the transaction commits.');
+      }
+      return azul.query.insert(opts.table, {
+        key: scoped,
+        fingerprint: fingerprint,
+        status: response.status,
+        headers: JSON.stringify(response.headers),
+        body: response.body,
+      });
+    });
+    return false;
+  });
+};
+
+/**
+ * A wrapper for Express routes that binds queries & model classes to the
+ * transaction.
+ *
+ * Options given for the route override the defaults. When the middleware has
+ * already begun the transaction, PostgreSQL transaction options that differ
+ * are changed with `SET TRANSACTION` as long as no query has run yet.
+ * Otherwise (or always for MySQL) the route fails rather than running with
+ * options other than its own, so lazy transactions should be used when routes
+ * set them. A `timeout` given for the route replaces any timeout that is
+ * already running for the transaction. A `lock` function given for the route
+ * takes a lock (see {@link routeLock}) before the route runs, i.e.
+ *
+ *     at.route({ lock: function(req) { return 'invoice:' + req.params.id; } },
+ *       function(req, res, Invoice) {});
+ *
+ * An `idempotency` option makes the route idempotent for requests with an
+ * `Idempotency-Key` header (see {@link idempotentRoute}).
+ *
+ * The parameters to inject can be declared via the `params` or `inject`
+ * options (see {@link parseParams}), or by simply passing an array of all
+ * parameter names in place of the options:
+ *
+ *     at.route(['req', 'res', 'Article'], function(req, res, Article) {});
+ *
+ * Otherwise, they will be determined from the function's source.
+ *
+ * Routes that return a promise drive the transaction. When the promise
+ * resolves, the transaction is committed (even if nothing was written). When
+ * it rejects (or the route throws), the transaction is rolled back & the error
+ * is passed to `next`.
+ *
+ * @param {Database} db The Azul.js database on which bindings should be created.
+ * @param {Object} defaults The default options.
+ * @param {EventEmitter} events The emitter for transaction events.
+ * @param {Object|Array.<String>} [options] Options for this route.
+ * @param {Function} fn The Express route to wrap.
+ * @return {Function} The wrapped route.
+ */
+var route = function(db, defaults, events, options, fn) {
+  if (_.isFunction(options)) {
+    fn = options;
+    options = {};
+  }
+  if (_.isArray(options)) {
+    options = { params: options };
+  }
+
+  var opts = validateOptions(_.defaults({}, options, defaults));
+  var params = parseParams(fn, options);
+  var expressParams = params.framework;
+  var azulParams = params.azul;
+
   // argument length is important to express
   var isErrorRoute = (expressParams.length === 4);
   var expressRoute = isErrorRoute ?
@@ -244,42 +2305,544 @@ var route = function(db, fn) {
     makeExpressStandardRoute;
 
   return expressRoute(function() {
+    var self = this;
     var args = _.toArray(arguments);
     var referenceArgs = isErrorRoute ? args.slice(1) : args;
     var req = referenceArgs[0];
     var res = referenceArgs[1];
     var next = referenceArgs[2];
-    var begun = req.azul && req.azul.transaction;
+    var attempts = 0;
+    var invoke; // defined below, but needed for retries
+    var state = function() { return scope(res, opts.name); };
 
-    setupRequest(db, req);
-    setupResponse(db, req, res, next);
+    // retries are only possible when the failure is one that the database
+    // expects to be retried & the transaction has not started closing (which
+    // would mean that the route has started writing the response).
+    var shouldRetry = function(e) {
+      return attempts < opts.retries && isRetryable(e) && !state().closing();
+    };
 
-    // form express arguments
-    var expressArgs = _.take(args, expressParams.length);
-    if (expressArgs.length >= 3) {
-      expressArgs.splice(-1, 1, wrapNext(db, req, res, next));
-    }
+    var retry = function() {
+      attempts += 1;
+      responseGroup(res).drop(); // buffered output is written again
+      return state().rollback('retry').then(function() {
+        resetTransaction(req, res, opts.name);
+        return BPromise.delay(backoff(opts.backoff, attempts));
+      })
+      .then(invoke);
+    };
+
+    // once retries are exhausted, the error is wrapped to indicate so
+    var failure = function(e) {
+      return (attempts && isRetryable(e)) ? new RetryError(e, attempts) : e;
+    };
+
+    invoke = function() {
+      setupRequest(db, req, opts);
+      setupResponse(db, req, res, next, opts, events);
+
+      // a timeout specific to this route replaces any existing timeout
+      if (_.has(options, 'timeout')) {
+        state().timeout(options.timeout);
+      }
+
+      // buffering (or streaming) specific to this route applies to the whole
+      // response
+      if (_.has(options, 'buffer')) {
+        responseGroup(res).buffer(options.buffer);
+      }
+
+      // form express arguments. the handler gets a view of the response that
+      // ignores its writes once this attempt has timed out.
+      var expressArgs = _.take(args, expressParams.length);
+      var attempt = state();
+      var view = responseView(res, function() { return attempt.timedOut(); });
+      expressArgs.splice(isErrorRoute ? 2 : 1, 1, view);
+      if (expressArgs.length >= 3) {
+        var wrapped = wrapNext(db, req, res, next, opts.name);
+        expressArgs.splice(-1, 1, function(err) {
+          return shouldRetry(err) ? retry() :
+            wrapped.apply(this, err ? [failure(err)] : arguments);
+        });
+      }
+
+      // setup the azul argument, binding queries and model classes
+      var azulArgs = injections(req, azulParams, opts.name);
+
+      // combine args & bind function we're wrapping
+      var combinedArgs = [].concat(expressArgs, azulArgs);
+      var bound = fn.apply.bind(fn, self, combinedArgs);
+
+      // when the route returns a promise, it drives the transaction. it gets
+      // committed when the promise resolves.
+      var finalize = function(result) {
+        return isThenable(result) ?
+          BPromise.resolve(result).then(function() { return state().commit(); }) :
+          result;
+      };
+
+      // start the transaction if it wasn't previously begun (when lazy, the
+      // first query will start it instead), take the route's lock & replay
+      // any stored response for idempotent routes. failures roll back the
+      // transaction before being passed on. a transaction that closes before
+      // it has begun (i.e. it timed out while waiting for a slot) has already
+      // been dealt with, so the route does not run.
+      var closing = function() { return state().closing(); };
+      return startTransaction(req, res, opts).then(function() {
+        if (closing()) { return; }
+        return routeLock(req, options, opts.name).then(function() {
+          return idempotentRoute(db, req, res, options, opts.name,
+            opts.isolation);
+        })
+        .then(function(replayed) {
+          return replayed ? undefined : finalize(bound());
+        });
+      }, function(e) {
+        if (!closing()) { throw e; }
+      })
+      .catch(function(e) {
+        if (state().timedOut()) { return; } // timeout already passed on
+        if (shouldRetry(e)) { return retry(); }
+        return responseGroup(res).rollback('next').then(function() {
+          next(failure(e));
+        });
+      });
+    };
 
-    // setup the azul argument, binding queries and model classes
-    var query = req.azul.query;
-    var binder = modelBinder(db, req);
-    var azulArgs = azulParams.map(function(arg) {
-      return arg === 'query' ? query : binder(arg);
+    return invoke();
+  });
+};
+
+/**
+ * Create a dispatcher for the events in an outbox table (see
+ * {@link publisher}).
+ *
+ * Each poll reads a batch of committed events that have not been delivered &
+ * calls the handler for each one in the order they were published. Once the
+ * handler succeeds (or the promise it returns resolves), the event is marked
+ * as delivered. When it fails, the event is retried after a backoff until it
+ * has been attempted `maxAttempts` times. Delivery is at least once, so
+ * handlers should tolerate duplicates (i.e. if marking an event as delivered
+ * fails or more than one dispatcher is running).
+ *
+ * The table must have an `id` (auto incrementing), a `topic` & a `payload`
+ * (text), the number of `attempts` (integer), `available_at` &
+ * `delivered_at` (timestamps, the latter allowing null) & a `last_error`
+ * (text, allowing null).
+ *
+ * The dispatcher is an `EventEmitter` that emits `delivered` with the event,
+ * `deliveryError` with the `event`, the `error` & whether it will `retry`, &
+ * `pollError` with the `error` when the events could not be read.
+ *
+ * @param {Database} db
+ * @param {Object} [options]
+ * @param {String} [options.table='outbox'] The name of the outbox table.
+ * @param {Number} [options.interval=1000] The time in milliseconds between
+ * polls. When a poll reads a full batch, the next poll happens right away.
+ * @param {Number} [options.batchSize=10] The number of events read per poll.
+ * @param {Number} [options.maxAttempts=5] The number of times an event is
+ * attempted before giving up.
+ * @param {Number|Function} [options.backoff=1000] The delay in milliseconds
+ * before the first retry (see {@link backoff}).
+ * @return {EventEmitter} The dispatcher, with `start(handler)`, `stop()` &
+ * `poll(handler)` (a single poll that resolves with the number of events
+ * handled). Handlers are given events with the `id`, `topic`, `payload` &
+ * `attempts` (including this one).
+ */
+var outboxDispatcher = function(db, options) {
+  var opts = _.defaults({}, options, {
+    table: 'outbox',
+    interval: 1000,
+    batchSize: 10,
+    maxAttempts: 5,
+    backoff: 1000,
+  });
+  var dispatcher = new EventEmitter();
+  var running = false;
+  var timer; // timer for the next poll
+  var polling; // promise for the poll in progress
+
+  var update = function(id, values) {
+    var query = db.query.update(opts.table, values).where({ id: id });
+    return BPromise.resolve(query.execute());
+  };
+
+  var deliver = function(handler, row) {
+    var event = { id: row.id, topic: row.topic, attempts: row.attempts + 1 };
+    return BPromise.try(function() {
+      event.payload = JSON.parse(row.payload);
+      return handler(event);
+    })
+    .then(function() {
+      return update(row.id, {
+        'attempts': event.attempts,
+        'delivered_at': new Date(),
+      })
+      .then(function() { dispatcher.emit('delivered', event); });
+    }, function(e) {
+      var delay = backoff(opts.backoff, event.attempts);
+      return update(row.id, {
+        'attempts': event.attempts,
+        'available_at': new Date(Date.now() + delay),
+        'last_error': String((e && e.message) || e),
+      })
+      .then(function() {
+        dispatcher.emit('deliveryError', {
+          event: event,
+          error: e,
+          retry: event.attempts < opts.maxAttempts,
+        });
+      });
+    });
+  };
+
+  var poll = function(handler) {
+    var query = db.query.select(opts.table).where({
+      'delivered_at[isNull]': true,
+      'attempts[lt]': opts.maxAttempts,
+      'available_at[lte]': new Date(),
+    })
+    .orderBy('id')
+    .limit(opts.batchSize);
+
+    return BPromise.resolve(query.execute()).then(function(result) {
+      var rows = result.rows;
+      return BPromise.each(rows, _.partial(deliver, handler))
+        .return(rows.length);
     });
+  };
+
+  // poll after a delay & keep polling until stopped. full batches mean there
+  // may be more events waiting, so they're followed by another poll right
+  // away.
+  var schedule = function(handler, delay) {
+    timer = setTimeout(function() {
+      polling = poll(handler).catch(function(e) {
+        dispatcher.emit('pollError', { error: e });
+        return 0;
+      })
+      .then(function(count) {
+        polling = undefined;
+        if (running) {
+          schedule(handler, count >= opts.batchSize ? 0 : opts.interval);
+        }
+      });
+    }, delay);
+  };
+
+  var start = function(handler) {
+    if (running) {
+      throw new Error('Outbox dispatcher has already been started.');
+    }
+    running = true;
+    schedule(handler, 0);
+    return dispatcher;
+  };
+
+  // stop polling, resolving once any poll in progress has completed
+  var stop = function() {
+    running = false;
+    clearTimeout(timer);
+    return BPromise.resolve(polling).return();
+  };
 
-    // combine args & bind function we're wrapping
-    var combinedArgs = [].concat(expressArgs, azulArgs);
-    var bound = fn.apply.bind(fn, this, combinedArgs);
+  return _.extend(dispatcher, { start: start, stop: stop, poll: poll });
+};
+
+/**
+ * Run a function within the transaction for a Koa context.
+ *
+ * If the context has already been set up (by the Koa middleware), this calls
+ * the function once the transaction has begun with the options given (or has
+ * had them applied, just like Express routes). Otherwise, it sets up the
+ * context, begins the transaction & calls the function. The transaction is
+ * committed when the function's result resolves & rolled back when it
+ * rejects.
+ *
+ * @param {Database} db
+ * @param {Context} ctx
+ * @param {Object} options Transaction options.
+ * @param {Function} fn
+ * @return {Promise}
+ */
+var koaTransaction = function(db, ctx, options, fn) {
+  var existing = scope(ctx, options.name);
+  var transaction, begin;
+  if (existing && existing.transaction) {
+    setupRequest(db, ctx, options); // ensures it's for the same database
+    transaction = existing.transaction;
+    begin = _.partial(transaction._azulBegin, options);
+    if (options.lazy) {
+      deferBegin(transaction, begin);
+    }
+    return (options.lazy ? BPromise.resolve() : begin()).then(fn);
+  }
+
+  setupRequest(db, ctx, options);
+
+  transaction = scope(ctx, options.name).transaction;
+  var began; // promise for the `BEGIN`, once it has been issued
+  var beginWith = transactionBegin(db, transaction, function(opts) {
+    began = beginQuery(db, transaction, opts).execute();
+    return began;
+  });
+  Object.defineProperty(transaction, '_azulBegin', { value: beginWith });
+  begin = _.partial(beginWith, options);
+  var end = function(action) {
+    return BPromise.resolve(began && began.then(function() {
+      return endQuery(db, transaction, action, options).execute();
+    }, _.noop));
+  };
+
+  if (options.lazy) {
+    deferBegin(transaction, begin);
+  }
 
-    // start the transaction if it wasn't previously begun
-    var promise = begun ? BPromise.resolve() : req.azul.transaction.begin();
-    return promise.then(bound).catch(next);
+  var promise = options.lazy ? BPromise.resolve() : begin();
+  return promise.then(fn).then(function(result) {
+    return end('commit').return(result);
+  }, function(e) {
+    return end('rollback').throw(e);
   });
 };
 
-module.exports = function(db) {
-  return _.extend(middleware(db), {
+/**
+ * Make Koa middleware for a specific database.
+ *
+ * @param {Database} db
+ * @param {Object} options
+ * @return {Function} The middleware.
+ */
+var koaMiddleware = function(db, options) {
+  return function(ctx, next) {
+    return koaTransaction(db, ctx, options, next);
+  };
+};
+
+/**
+ * A wrapper for Koa routes that binds queries & model classes to the
+ * transaction. This works just like {@link route}, but for functions that
+ * accept Koa's `ctx` & `next`, i.e. `function(ctx, next, query, Article)`.
+ *
+ * @param {Database} db The Azul.js database on which bindings should be created.
+ * @param {Object} defaults The default options.
+ * @param {Object|Array.<String>} [options] Options for this route.
+ * @param {Function} fn The Koa route to wrap.
+ * @return {Function} The wrapped route.
+ */
+var koaRoute = function(db, defaults, options, fn) {
+  if (_.isFunction(options)) {
+    fn = options;
+    options = {};
+  }
+  if (_.isArray(options)) {
+    options = { params: options };
+  }
+
+  var opts = validateOptions(_.defaults({}, options, defaults));
+  var params = parseParams(fn, options);
+
+  return function(ctx/*, next*/) {
+    var self = this;
+    var koaArgs = _.take(arguments, params.framework.length);
+    return koaTransaction(db, ctx, opts, function() {
+      var azulArgs = injections(ctx, params.azul, opts.name);
+      return routeLock(ctx, options, opts.name).then(function() {
+        return fn.apply(self, [].concat(koaArgs, azulArgs));
+      });
+    });
+  };
+};
+
+/**
+ * Create transaction middleware for a database.
+ *
+ * @param {Database} db
+ * @param {Object} [options]
+ * @param {Boolean} [options.lazy=false] Defer the `BEGIN` until the first
+ * query actually runs. Requests that never query will not use a client.
+ * @param {String} [options.isolation] The isolation level for transactions,
+ * i.e. `read committed`, `repeatable read` or `serializable`.
+ * @param {Boolean} [options.readOnly] Start read only transactions.
+ * @param {Boolean} [options.deferrable] Start deferrable transactions
+ * (PostgreSQL only).
+ * @param {Number} [options.retries=0] The number of times a wrapped route
+ * will be retried (with a new transaction) after a serialization failure or
+ * deadlock.
+ * @param {Number|Function} [options.backoff=10] The delay before the first
+ * retry in milliseconds (it doubles for each retry after), or a function that
+ * is given the attempt number & returns the delay.
+ * @param {Function} [options.commitWhen] A function that is given the response
+ * when it is flushed & returns whether the transaction should be committed
+ * (otherwise it is rolled back).
+ * @param {Boolean} [options.rollbackOnErrorStatus=false] Roll back rather than
+ * commit when the response is flushed with a 4xx or 5xx status.
+ * @param {Number} [options.timeout] The maximum time in milliseconds that a
+ * transaction may remain open. When exceeded, the transaction is rolled back
+ * & the timeout error is passed to `next`.
+ * @param {Error|Function} [options.timeoutError] The error to pass to `next`
+ * when a transaction times out, or a function that is given the request,
+ * response & timeout & returns the error. Defaults to a `TimeoutError` with a
+ * status of 503.
+ * @param {Boolean} [options.rollbackOnAbort=false] Roll back as soon as the
+ * client disconnects (rather than when the handler finishes). Commits after
+ * that will fail with a `ClientAbortedError`.
+ * @param {String} [options.name] A name for the transaction, required when
+ * using more than one database. Named transactions are accessed via
+ * `req.azul[name]` & `res.azul[name]`, i.e. `req.azul.analytics.query`, and
+ * routes can inject from them with params like `analytics.Event`. All of a
+ * response's transactions are committed in the order they were set up when
+ * the response is sent & all are rolled back on errors. If a commit fails,
+ * the transactions after it are rolled back, but those before it will have
+ * already been committed.
+ * @param {Boolean} [options.buffer=false] Buffer the response (`writeHead`,
+ * `write` & `end`) until it ends, then commit & send it. If the commit fails,
+ * the buffered response is discarded so that error handling can produce a
+ * clean error response. Otherwise, the response is streamed & the transaction
+ * is committed on the first write. Routes can use either.
+ * @param {Boolean} [options.log=false] Record each statement executed through
+ * `req.azul.query` & bound models in `req.azul.log` as an object with the
+ * `sql`, `args` & `duration` in milliseconds.
+ * @param {Boolean|Function} [options.tag=false] Prefix each statement executed
+ * through `req.azul.query` & bound models with a comment containing the
+ * request id, i.e. `/* req:abc123 *\/`. When `true`, `req.id` is used.
+ * Otherwise this is a function that is given the request & returns the id.
+ * @param {Boolean} [options.development=false] Track open transactions &
+ * warn when one is still open after the response finishes (or closes) or once
+ * it is older than `leakAge`. This catches handlers that never end the
+ * response through the wrapped `res.end` & transactions that are never
+ * committed or rolled back. Tracked transactions are available via
+ * {@link module.exports.openTransactions}.
+ * @param {Number} [options.leakAge=30000] The age in milliseconds at which an
+ * open transaction is reported in development mode.
+ * @param {String} [options.mode='commit'] Use `rollback` to end every
+ * transaction with a `ROLLBACK` instead of a `COMMIT`, i.e. for integration
+ * tests against a shared database. Everything else behaves as it does in
+ * `commit` mode, including the order in which responses are released, commit
+ * hooks & events.
+ * @param {TransactionQuery} [options.outerTransaction] Run each request's
+ * transaction within a savepoint of this transaction, which must already have
+ * begun. This allows tests to share one transaction across several requests &
+ * roll it back once they're done (requests must then be made one at a time,
+ * since they share a client). In `commit` mode, the savepoint is released so
+ * that later requests see the changes. Transaction options like `isolation`
+ * are ignored.
+ * @param {Number|Object} [options.maxConcurrent] The maximum number of
+ * transactions that can be open at once, or an object with separate limits
+ * for `read` (read only) & `write` transactions, i.e. `{ read: 20, write: 5 }`.
+ * Requests beyond the limit wait for a transaction to close before they
+ * begin.
+ * @param {Number|Object} [options.maxQueued] The maximum number of requests
+ * that can wait, in the same form as `maxConcurrent`. Requests beyond this
+ * are shed right away.
+ * @param {Number} [options.queueTimeout] The maximum time in milliseconds
+ * that a request can wait.
+ * @param {Number} [options.retryAfter=1] The number of seconds for the
+ * `Retry-After` header of shed requests.
+ * @param {Error|Function} [options.overloadError] The error to pass to `next`
+ * when a request is shed, or a function that is given the request, response
+ * & the original error & returns the error. Defaults to an `OverloadedError`
+ * with a status of 503.
+ * @param {String} [options.outboxTable='outbox'] The table into which
+ * `req.azul.publish(topic, payload)` inserts events (see
+ * {@link module.exports.outbox}).
+ * @return {Function} The middleware, with `error`, `route` & `concurrency`
+ * attached. The `concurrency` function returns the current counts for health
+ * checks as an object with `read` & `write` counts, each having the number
+ * of `active` transactions, the number of `queued` requests & the
+ * `maxConcurrent` & `maxQueued` limits (`null` when unlimited). The middleware
+ * is also an `EventEmitter` that emits `begin`, `commit`, `rollback`,
+ * `commitError`, `rollbackError`, `timeout`, `overload` & `leak` events with
+ * the `req`, the `transaction`, the `duration` since `BEGIN` & the `reason`
+ * for rollbacks, overloads & leaks.
+ */
+module.exports = function(db, options) {
+  var opts = validateOptions(_.defaults({}, options, {
+    lazy: false,
+    retries: 0,
+    backoff: 10,
+    rollbackOnErrorStatus: false,
+    rollbackOnAbort: false,
+    buffer: false,
+    log: false,
+    tag: false,
+    development: false,
+    leakAge: 30000,
+    mode: 'commit',
+    retryAfter: 1,
+    outboxTable: 'outbox',
+  }));
+  var limiter = opts.limiter = concurrencyLimiter(opts);
+  var fn = middleware(db, opts);
+  return _.extend(fn, {
     error: errorMiddleware(db),
-    route: _.partial(route, db),
+    route: _.partial(route, db, opts, fn),
+    concurrency: limiter.counts,
+  });
+};
+
+/**
+ * Create Koa transaction middleware for a database.
+ *
+ * The transaction is committed once downstream middleware completes & rolled
+ * back if it fails. The context will have `azul.query`, `azul.transaction` &
+ * `azul.model(name)` for accessing bound model classes.
+ *
+ * @param {Database} db
+ * @param {Object} [options] Transaction options, i.e. `lazy`, `isolation`,
+ * `readOnly`, `deferrable`, `log`, `tag`, `mode`, `outerTransaction`,
+ * `outboxTable` & `name` (the context will have `azul[name]` instead).
+ * @return {Function} The middleware, with `route` attached.
+ */
+module.exports.koa = function(db, options) {
+  var opts = validateOptions(_.defaults({}, options, {
+    lazy: false,
+    mode: 'commit',
+  }));
+  return _.extend(koaMiddleware(db, opts), {
+    route: _.partial(koaRoute, db, opts),
+  });
+};
+
+/**
+ * Get the transactions that have been set up in development mode & have not
+ * yet reached a commit or rollback. This allows tests to assert that nothing
+ * leaked.
+ *
+ * @return {Array.<{req: Request, name: ?String, request: String,
+ * age: Number}>} The open transactions with the `req`, the `name` of the
+ * transaction, a description of the `request` (i.e. `GET /articles/:id`) &
+ * the `age` in milliseconds.
+ */
+module.exports.openTransactions = function() {
+  return trackedTransactions.map(function(entry) {
+    return {
+      req: entry.req,
+      name: entry.name,
+      request: describeRequest(entry.req),
+      age: Date.now() - entry.startedAt,
+    };
   });
 };
+
+/**
+ * Create a dispatcher for events published to an outbox table with
+ * `req.azul.publish`.
+ *
+ *     azulTransaction.outbox(db).start(function(event) {
+ *       return broker.send(event.topic, event.payload);
+ *     });
+ *
+ * @function
+ * @param {Database} db
+ * @param {Object} [options] See {@link outboxDispatcher}.
+ * @return {EventEmitter} The dispatcher.
+ */
+module.exports.outbox = outboxDispatcher;
+
+module.exports.RetryError = RetryError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.ClientAbortedError = ClientAbortedError;
+module.exports.OverloadedError = OverloadedError;
+module.exports.LockUnavailableError = LockUnavailableError;
+module.exports.IdempotencyKeyReusedError = IdempotencyKeyReusedError;
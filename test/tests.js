@@ -5,51 +5,18 @@ var chai = require('chai');
 var expect = chai.expect;
 var sinon = require('sinon'); chai.use(require('sinon-chai'));
 var azul = require('azul');
+var EventEmitter = require('events').EventEmitter;
 
 var at, req, res, next, db, adapter;
 var azulTransaction = require('../index');
+var testing = require('../testing');
 var BPromise = require('bluebird');
+var Adapter = testing.Adapter;
 
-var Adapter = azul.Adapter.extend({
-  init: function() {
-    this._super.apply(this, arguments);
-    this._responders = [];
-    this.clients = [];
-    this.executed = [];
-  },
-  fail: function(sql) {
-    var responder = function(client, sql/*, args*/) {
-      throw new Error('Intentional failure for ' + sql);
-    };
-    responder.regex = new RegExp(sql, 'i');
-    this._responders.unshift(responder);
-  },
-  respond: function(regex, result) {
-    var responder = function(/*client, sql, args*/) {
-      return { rows: result, fields: [] };
-    };
-    responder.regex = regex;
-    this._responders.unshift(responder);
-  },
-  _connect: BPromise.method(function() { return { id: ++this.__identity__.cid }; }),
-  _disconnect: BPromise.method(function(/*client*/) {}),
-  _execute: BPromise.method(function(client, sql, args) {
-    return BPromise.delay(1).bind(this).then(function() {
-      var responder = _.find(this._responders,
-        function(r) { return sql.match(r.regex); });
-      var result = responder && responder(client, sql, args);
-      this.clients = _.uniq(this.clients.concat([client]));
-      this.executed.push(args.length ? [sql, args] : sql);
-      return result || { rows: [], fields: [] };
-    });
-  }),
-}, { cid: 0 });
-
+// the promise spy from the testing helpers, with sinon's assertions
 var pspy = function() {
-  var resolve;
-  var promise = new BPromise(function() { resolve = arguments[0]; });
-  resolve.wait = promise;
-  return sinon.spy(resolve);
+  var spy = testing.promiseSpy();
+  return _.extend(sinon.spy(spy), { wait: spy.wait });
 };
 
 describe('azul-transaction', function() {
@@ -154,6 +121,51 @@ describe('azul-transaction', function() {
 
     });
 
+    describe('with models', function() {
+      beforeEach(function(done) {
+        db.model('blogPost');
+        at(req, res, next);
+        next.wait.return().then(done, done);
+      });
+
+      it('exposes bound models', function(done) {
+        var BlogPost = req.azul.models.BlogPost;
+        expect(BlogPost.query).to.equal(req.azul.query);
+        expect(req.azul.model('blog_post')).to.equal(BlogPost);
+        BlogPost.objects.fetch().then(function() {
+          res.end();
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN', 'SELECT * FROM "blog_posts"', 'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('exposes models defined after earlier requests', function() {
+        expect(req.azul.models.Comment).to.not.exist;
+        db.model('comment');
+        req = {};
+        at(req, res, next);
+        expect(req.azul.models.Comment.query).to.equal(req.azul.query);
+      });
+
+      it('shares bound models with routes', function(done) {
+        var Bound = req.azul.models.BlogPost;
+        var route = at.route(function(req, res, BlogPost) {
+          expect(BlogPost).to.equal(Bound);
+          res.end();
+        });
+        BPromise.resolve(route(req, res, next)).then(function() {
+          return res._end.wait;
+        })
+        .then(done, done);
+      });
+    });
+
   });
 
   describe('error middleware', function() {
@@ -207,6 +219,191 @@ describe('azul-transaction', function() {
       }).to.throw(/unexpected arguments:.*query, item, bad/i);
     });
 
+    describe('returning a promise', function() {
+
+      it('commits when the promise resolves', function(done) {
+        BPromise.resolve().then(function() {
+          var route = at.route(function(req, res, query) {
+            return query.select('articles').then(function() {
+              expect(adapter.executed).to.eql(['BEGIN', 'SELECT * FROM "articles"']);
+            });
+          });
+          return route(req, res, next); // invoke route
+        })
+        .then(function() {
+          expect(next).to.not.have.been.called;
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('commits before releasing the response', function(done) {
+        var context = {};
+        BPromise.resolve().then(function() {
+          var route = at.route(function(req, res, query) {
+            return query.select('articles').then(function() {
+              res.end('body');
+              context.executed = adapter.executed.slice();
+            });
+          });
+          return route(req, res, next); // invoke route
+        })
+        .then(function() {
+          expect(context.executed).to.eql(['BEGIN', 'SELECT * FROM "articles"']);
+          expect(res._end).to.have.been.calledWithExactly('body');
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('rolls back & calls next when the promise rejects', function(done) {
+        BPromise.resolve().then(function() {
+          var route = at.route(function(req, res, query) {
+            return query.select('articles').then(function() {
+              throw new Error('Expected');
+            });
+          });
+          return route(req, res, next); // invoke route
+        })
+        .then(function() {
+          expect(next).to.have.been.calledOnce;
+          expect(next.getCall(0).args[0].message).to.eql('Expected');
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'ROLLBACK',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('commits for routes that delegate to the next middleware', function(done) {
+        BPromise.resolve().then(function() {
+          var route = at.route(function(req, res, next, query) {
+            return query.select('articles').then(function() { next(); });
+          });
+          return route(req, res, next); // invoke route
+        })
+        .then(function() {
+          expect(next).to.have.been.calledOnce;
+          expect(next).to.have.been.calledWithExactly();
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('does not commit for routes that do not return a promise', function(done) {
+        BPromise.resolve().then(function() {
+          var route = at.route(function(req, res, query) {
+            query; // use all params (jshint)
+          });
+          return route(req, res, next); // invoke route
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql(['BEGIN']);
+        })
+        .then(done, done);
+      });
+
+    });
+
+    describe('with declared params', function() {
+
+      it('injects params declared in a list', function(done) {
+        var context = {};
+        var route = at.route(['req', 'res', 'query', 'Article'],
+          function(a, b, c, d) {
+            context.args = [a, b, c, d];
+            b.end();
+          });
+        expect(route.length).to.eql(3);
+        route(req, res, next);
+        res._end.wait.then(function() {
+          expect(context.args[0]).to.equal(req);
+          expect(Object.getPrototypeOf(context.args[1])).to.equal(res);
+          expect(context.args[2]).to.equal(req.azul.query);
+          expect(context.args[3].query).to.equal(req.azul.query);
+          expect(context.args[3].__name__).to.eql('Article');
+        })
+        .then(done, done);
+      });
+
+      it('injects params declared via inject', function(done) {
+        var context = {};
+        var route = at.route({ inject: ['Article'] }, function(a, b, c, d) {
+          context.args = [a, b, c, d];
+          c();
+        });
+        expect(route.length).to.eql(3);
+        route(req, res, next);
+        next.wait.then(function() {
+          expect(context.args[0]).to.equal(req);
+          expect(Object.getPrototypeOf(context.args[1])).to.equal(res);
+          expect(context.args[3].query).to.equal(req.azul.query);
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+
+      it('creates error routes from declared params', function() {
+        var route = at.route(['err', 'req', 'res', 'next', 'query'],
+          function() {});
+        expect(route.length).to.eql(4);
+      });
+
+      it('throws for misordered declared params', function() {
+        expect(function() {
+          at.route(['req', 'query', 'res'], function() {});
+        }).to.throw(/unexpected arguments: req, query, res/i);
+      });
+
+      it('throws for invalid injections', function() {
+        expect(function() {
+          at.route({ inject: ['Article', 'res'] }, function(a, b, c) {
+            /* jshint unused: false */
+          });
+        }).to.throw(/unexpected injections: article, res/i);
+      });
+
+      it('throws when injecting more params than accepted', function() {
+        expect(function() {
+          at.route({ inject: ['query', 'Article'] }, function(a) {
+            /* jshint unused: false */
+          });
+        }).to.throw(/unexpected injections: query, article/i);
+      });
+
+      it('does not parse source when params are declared', function() {
+        var fn = function() {};
+        fn.toString = function() { return '(req, res, Article) => {}'; };
+        expect(function() {
+          at.route(['req', 'res', 'Article'], fn);
+        }).to.not.throw();
+      });
+
+      it('throws when params cannot be determined from source', function() {
+        var fn = function() {};
+        fn.toString = function() { return '(req, res, Article) => {}'; };
+        expect(function() {
+          at.route(fn);
+        }).to.throw(/could not determine route arguments/i);
+      });
+
+    });
+
     describe('with azul params', function() {
       beforeEach(function() {
         this.route = at.route(function(req, res, next, query, Article) {
@@ -384,12 +581,12 @@ describe('azul-transaction', function() {
         return route(req, res, next); // invoke route
       })
       .then(function() {
-        expect(adapter.executed).to.eql(['BEGIN']);
         return next.wait;
       })
       .then(function() {
         expect(next).to.have.been.calledOnce;
         expect(next.getCall(0).args[0]).to.match(/call.*next.*non-error/i);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
       })
       .then(done, done);
     });
@@ -522,6 +719,3465 @@ describe('azul-transaction', function() {
       .then(done, done);
     });
 
+    describe('binding models', function() {
+      var invoke = function(fn) {
+        return BPromise.try(function() {
+          return at.route(fn)(req, res, next);
+        })
+        .then(function() { return res._end.wait; });
+      };
+
+      it('resolves names like the database', function(done) {
+        db.model('blogPost');
+        invoke(function(req, res, query, BlogPost) {
+          expect(BlogPost.__name__).to.eql('BlogPost');
+          expect(BlogPost.query).to.equal(query);
+          BlogPost.objects.fetch().then(function() { res.end(); });
+        })
+        .then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN', 'SELECT * FROM "blog_posts"', 'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('binds has-many through relations', function(done) {
+        db.model('author', {
+          articles: db.hasMany(),
+          comments: db.hasMany({ through: 'articles' }),
+        });
+        db.model('article', {
+          author: db.belongsTo(),
+          comments: db.hasMany(),
+        });
+        db.model('comment', { article: db.belongsTo() });
+        adapter.respond(/select \* from "authors"/i, [{ id: 5 }]);
+
+        invoke(function(req, res, query, Author) {
+          var relations = Author.commentsRelation.expand();
+          expect(_.map(relations, 'modelClass.query'))
+            .to.eql([query, query]);
+          Author.objects.find(5).then(function(author) {
+            return author.commentObjects.fetch();
+          })
+          .then(function() { res.end(); });
+        })
+        .then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            ['SELECT * FROM "authors" WHERE "id" = ? LIMIT 1', [5]],
+            ['SELECT "comments".* FROM "comments" ' +
+             'INNER JOIN "articles" ' +
+             'ON "comments"."article_id" = "articles"."id" ' +
+             'WHERE "articles"."author_id" = ?', [5]],
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('binds join models of many-to-many relations', function(done) {
+        db.model('student', { courses: db.hasMany({ join: 'enrollments' }) });
+        db.model('course', { students: db.hasMany({ join: 'enrollments' }) });
+        adapter.respond(/select \* from "students"/i, [{ id: 1 }]);
+        adapter.respond(/select \* from "courses"/i, [{ id: 2 }]);
+
+        invoke(function(req, res, query, Student, Course) {
+          BPromise.all([Student.objects.find(1), Course.objects.find(2)])
+          .spread(function(student, course) {
+            return student.addCourse(course);
+          })
+          .then(function() { res.end(); });
+        })
+        .then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            ['SELECT * FROM "students" WHERE "id" = ? LIMIT 1', [1]],
+            ['SELECT * FROM "courses" WHERE "id" = ? LIMIT 1', [2]],
+            ['INSERT INTO "enrollments" ("student_id", "course_id") ' +
+             'VALUES (?, ?)', [1, 2]],
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('binds self-referential relations', function(done) {
+        db.model('employee', {
+          manager: db.belongsTo('employee', { inverse: 'reports' }),
+          reports: db.hasMany('employee', { inverse: 'manager' }),
+        });
+        adapter.respond(/select \* from "employees"/i,
+          [{ id: 2, 'manager_id': 1 }]);
+
+        invoke(function(req, res, query, Employee) {
+          expect(Employee.managerRelation.relatedModelClass)
+            .to.equal(Employee);
+          expect(Employee.reportsRelation.inverseRelation())
+            .to.equal(Employee.managerRelation);
+          Employee.objects.find(2).then(function(employee) {
+            return employee.fetchManager();
+          })
+          .then(function() { res.end(); });
+        })
+        .then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            ['SELECT * FROM "employees" WHERE "id" = ? LIMIT 1', [2]],
+            ['SELECT * FROM "employees" WHERE "id" = ? LIMIT 1', [1]],
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('throws for relations that cannot be bound', function() {
+        db.model('comment', { article: db.belongsTo() });
+        var BelongsTo = db.model('comment').articleRelation.__identity__;
+        var Custom = BelongsTo.extend({}, { __name__: 'CustomRelation' });
+        db.model('comment', { post: Custom.attr()('article') });
+
+        var route = at.route(function(req, res, query, Comment) {
+          /* jshint unused: false */
+        });
+        expect(function() { route(req, res, next); }).to.throw(
+          /cannot bind relation Comment#post of type CustomRelation/i);
+        expect(adapter.executed).to.eql([]);
+      });
+
+      it('reuses bound model structures across requests', function(done) {
+        var Article = db.model('article', { comments: db.hasMany() });
+        db.model('comment', { article: db.belongsTo() });
+        var extend = sinon.spy(Article, 'extend');
+        var bound = [];
+        var request = function() {
+          req = {};
+          res = { end: _.noop };
+          return at.route(function(req, res, query, Article) {
+            bound.push(Article);
+            expect(Article.commentsRelation.relatedModelClass.query)
+              .to.equal(query);
+            res.end();
+          })(req, res, next);
+        };
+
+        BPromise.resolve().then(request).then(request).then(function() {
+          expect(extend).to.have.been.calledOnce;
+          expect(bound[0]).to.not.equal(bound[1]);
+          expect(bound[0].query).to.not.equal(bound[1].query);
+          expect(bound[0].commentsRelation)
+            .to.not.equal(bound[1].commentsRelation);
+        })
+        .then(done, done);
+      });
+
+      it('rebuilds bound model structures for new relations', function(done) {
+        db.model('article');
+        db.model('comment', { article: db.belongsTo() });
+        var request = function(fn) {
+          req = {};
+          res = { end: _.noop };
+          return at.route(function(req, res, query, Article) {
+            fn(Article, query); res.end();
+          })(req, res, next);
+        };
+
+        request(function(Article) {
+          expect(Article.commentsRelation).to.not.exist;
+        })
+        .then(function() {
+          db.model('article', { comments: db.hasMany() });
+          return request(function(Article, query) {
+            expect(Article.commentsRelation.relatedModelClass.query)
+              .to.equal(query);
+          });
+        })
+        .then(done, done);
+      });
+
+      it('binds without work that depends on schema size', function(done) {
+        // a chain of models that each relate to the next (configuring its
+        // relations recurses through the chain, so it's kept short enough to
+        // stay well within the stack size).
+        var database = azul.Database.create({ adapter: Adapter.create() });
+        _.times(50, function(n) {
+          database.model('model' + n, (n + 1 < 50) ? {
+            following: database.hasMany('model' + (n + 1)),
+          } : {});
+        });
+
+        var bound = [];
+        var route = azulTransaction(database).route(
+          function(req, res, query, Model0) {
+            bound.push(Model0);
+            res.end();
+          });
+        var request = function() {
+          return route({}, { end: _.noop }, next);
+        };
+
+        BPromise.resolve().then(request).then(request).then(function() {
+          var bindable = database._azulTransaction.bindable;
+
+          // only the model that was used is made bindable, once for both
+          // requests, & its relations are not copied until accessed.
+          expect(_.keys(bindable)).to.eql(['Model0']);
+          expect(bound[0]).to.not.equal(bound[1]);
+          expect(bound[0].__super__).to.equal(bindable.Model0.modelClass);
+          expect(bound[1].__super__).to.equal(bindable.Model0.modelClass);
+          expect(bound[0]._boundRelations).to.eql({});
+
+          var related = bound[1].followingRelation.relatedModelClass;
+          expect(related.__super__).to.equal(bindable.Model1.modelClass);
+          expect(_.keys(bound[1]._boundRelations)).to.eql(['followingRelation']);
+          expect(_.keys(bindable)).to.eql(['Model0', 'Model1']);
+        })
+        .then(done, done);
+      });
+    });
+
+  });
+
+  describe('with transaction options', function() {
+    beforeEach(function() {
+      at = azulTransaction(db, { isolation: 'serializable', readOnly: true });
+    });
+
+    it('begins with options in middleware', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('accepts alternate forms of isolation levels', function(done) {
+      at = azulTransaction(db, { isolation: 'repeatableRead', deferrable: true });
+      at(req, res, next);
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL REPEATABLE READ, DEFERRABLE',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('throws for unknown isolation levels', function() {
+      expect(function() {
+        azulTransaction(db, { isolation: 'bogus' });
+      }).to.throw(/unknown isolation level: bogus/i);
+    });
+
+    it('throws for unknown isolation levels on routes', function() {
+      expect(function() {
+        at.route({ isolation: 'bogus' }, function(req, res) {
+          /* jshint unused: false */
+        });
+      }).to.throw(/unknown isolation level: bogus/i);
+    });
+
+    it('allows routes to override options', function(done) {
+      BPromise.resolve().then(function() {
+        var route = at.route({ isolation: 'read committed', readOnly: false },
+          function(req, res) { res.end(); });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL READ COMMITTED',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('uses route options for lazy transactions', function(done) {
+      at = azulTransaction(db, { lazy: true, readOnly: true });
+      var setup = pspy();
+      at(req, res, setup); // setup middleware
+      setup.wait.then(function() {
+        var route = at.route({ isolation: 'serializable' },
+          function(req, res, query) {
+            query.select('articles').then(function() { res.end(); });
+          });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('changes to route options once begun', function(done) {
+      var setup = pspy();
+      at(req, res, setup); // setup middleware
+      setup.wait.then(function() {
+        var route = at.route({ isolation: 'read committed', deferrable: true },
+          function(req, res, query) {
+            query.select('articles').then(function() { res.end(); });
+          });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+          'SET TRANSACTION ISOLATION LEVEL READ COMMITTED, DEFERRABLE',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('changes to options of lazy routes once begun', function(done) {
+      at = azulTransaction(db);
+      var setup = pspy();
+      at(req, res, setup); // setup middleware
+      setup.wait.then(function() {
+        var route = at.route({ lazy: true, isolation: 'serializable',
+          readOnly: true, }, function(req, res, query) {
+            query.select('articles').then(function() { res.end(); });
+          });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('does not change options once begun when they match', function(done) {
+      var setup = pspy();
+      at(req, res, setup); // setup middleware
+      setup.wait.then(function() {
+        var route = at.route({ isolation: 'serializable' },
+          function(req, res) { res.end(); });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('fails routes that change options once a query has run', function(done) {
+      var setup = pspy();
+      var route = at.route({ readOnly: false }, function(req, res) {
+        /* jshint unused: false */
+        throw new Error('Route should not have run.');
+      });
+      at(req, res, setup); // setup middleware
+      setup.wait.then(function() {
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        route(req, res, next); // invoke route
+        return next.wait;
+      })
+      .then(function(e) {
+        expect(e).to.match(/cannot change transaction options \(read write\)/i);
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+          'SELECT * FROM "articles"',
+          'ROLLBACK',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('fails routes that change options once begun for mysql', function(done) {
+      var MySQLAdapter = Adapter.extend({}, { __name__: 'MySQLAdapter' });
+      adapter = MySQLAdapter.create();
+      db = azul.Database.create({ adapter: adapter });
+      at = azulTransaction(db);
+      var setup = pspy();
+      var route = at.route({ isolation: 'serializable' }, function(req, res) {
+        /* jshint unused: false */
+        throw new Error('Route should not have run.');
+      });
+      at(req, res, setup); // setup middleware
+      setup.wait.then(function() {
+        route(req, res, next); // invoke route
+        return next.wait;
+      })
+      .then(function(e) {
+        expect(e).to.match(/isolation level serializable.*has begun/i);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('uses start transaction for mysql', function(done) {
+      var MySQLAdapter = Adapter.extend({}, { __name__: 'MySQLAdapter' });
+      adapter = MySQLAdapter.create();
+      db = azul.Database.create({ adapter: adapter });
+      at = azulTransaction(db, { isolation: 'serializable', readOnly: true });
+      at(req, res, next);
+      next.wait.then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE',
+          'START TRANSACTION READ ONLY',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('ignores options for sqlite', function(done) {
+      var SQLite3Adapter = Adapter.extend({}, { __name__: 'SQLite3Adapter' });
+      adapter = SQLite3Adapter.create();
+      db = azul.Database.create({ adapter: adapter });
+      at = azulTransaction(db, { isolation: 'serializable', readOnly: true });
+      at(req, res, next);
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('with a commit policy', function() {
+
+    describe('rolling back on error status', function() {
+      beforeEach(function(done) {
+        at = azulTransaction(db, { rollbackOnErrorStatus: true });
+        at(req, res, next);
+        next.wait.return().then(done, done);
+      });
+
+      it('commits for successful responses', function(done) {
+        res.statusCode = 201;
+        res.end();
+        res._end.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+
+      it('commits when no status has been set', function(done) {
+        res.end();
+        res._end.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+
+      it('rolls back for client errors', function(done) {
+        res.statusCode = 422;
+        res.end('invalid');
+        res._end.wait.then(function() {
+          expect(res._end).to.have.been.calledWithExactly('invalid');
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+
+      it('rolls back for status given to `writeHead`', function(done) {
+        res.writeHead(500, {});
+        res._writeHead.wait.then(function() {
+          expect(res._writeHead).to.have.been.calledWithExactly(500, {});
+          expect(res.statusCode).to.eql(500);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+    });
+
+    it('uses a custom policy', function(done) {
+      var commitWhen = sinon.spy(function(res) {
+        return res.statusCode !== 409;
+      });
+      at = azulTransaction(db, { commitWhen: commitWhen });
+      at(req, res, next);
+      next.wait.then(function() {
+        res.statusCode = 409;
+        res.write('conflict');
+        return res._write.wait;
+      })
+      .then(function() {
+        expect(commitWhen).to.have.been.calledOnce;
+        expect(commitWhen).to.have.been.calledWithExactly(res);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('uses a policy given for a wrapped route', function(done) {
+      BPromise.resolve().then(function() {
+        var route = at.route({ rollbackOnErrorStatus: true },
+          function(req, res) {
+            res.statusCode = 404;
+            res.end();
+          });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('commits regardless of status by default', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        res.statusCode = 500;
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('when buffering', function() {
+    beforeEach(function(done) {
+      at = azulTransaction(db, { buffer: true });
+      at(req, res, next);
+      next.wait.return().then(done, done);
+    });
+
+    it('holds the response until it ends', function(done) {
+      res.writeHead(200);
+      res.write('body');
+      BPromise.delay(10).then(function() {
+        expect(res._writeHead).to.not.have.been.called;
+        expect(res._write).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['BEGIN']);
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(res._writeHead).to.have.been.calledWithExactly(200);
+        expect(res._write).to.have.been.calledWithExactly('body');
+        expect(res._writeHead).to.have.been.calledBefore(res._write);
+        expect(res._write).to.have.been.calledBefore(res._end);
+      })
+      .then(done, done);
+    });
+
+    it('discards the response when the commit fails', function(done) {
+      adapter.fail('COMMIT');
+      res.writeHead(200);
+      res.end('body');
+
+      BPromise.delay(10).then(function() {
+        expect(next).to.have.been.calledTwice;
+        expect(next.getCall(1).args[0])
+          .to.match(/intentional failure for commit/i);
+
+        // an error handler can now write the response
+        res.writeHead(500);
+        res.end('error');
+        expect(res._writeHead).to.have.been.calledOnce;
+        expect(res._writeHead).to.have.been.calledWithExactly(500);
+        expect(res._end).to.have.been.calledOnce;
+        expect(res._end).to.have.been.calledWithExactly('error');
+      })
+      .then(done, done);
+    });
+
+    it('discards the response when rolling back for an error', function(done) {
+      var errorNext = pspy();
+      res.write('partial');
+      at.error(new Error('Failure'), req, res, errorNext);
+      errorNext.wait.then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        res.end('error');
+        expect(res._write).to.not.have.been.called;
+        expect(res._end).to.have.been.calledWithExactly('error');
+      })
+      .then(done, done);
+    });
+
+    it('allows routes to stream', function(done) {
+      var route = at.route({ buffer: false }, function(req, res) {
+        res.write('chunk');
+      });
+      BPromise.resolve(route(req, res, next)).then(function() {
+        return res._write.wait;
+      })
+      .then(function() {
+        expect(res._end).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('when streaming', function() {
+    it('allows routes to buffer', function(done) {
+      var route = at.route({ buffer: true }, function(req, res) {
+        res.write('chunk');
+        BPromise.delay(10).then(function() {
+          expect(res._write).to.not.have.been.called;
+          res.end();
+        });
+      });
+      BPromise.resolve(route(req, res, next)).then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(res._write).to.have.been.calledWithExactly('chunk');
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('hooks', function() {
+    beforeEach(function(done) {
+      at(req, res, next);
+      next.wait.return().then(done, done);
+    });
+
+    it('calls after commit hooks once committed', function(done) {
+      var afterCommit = sinon.spy(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(res._end).to.have.been.called;
+      });
+      var afterRollback = sinon.spy();
+      res.azul.afterCommit(afterCommit);
+      res.azul.afterRollback(afterRollback);
+      res.end();
+      res.azul.commit().then(function() {
+        expect(afterCommit).to.have.been.calledOnce;
+        expect(afterRollback).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('calls after rollback hooks once rolled back', function(done) {
+      var afterCommit = sinon.spy();
+      var afterRollback = sinon.spy();
+      res.azul.afterCommit(afterCommit);
+      res.azul.afterRollback(afterRollback);
+      res.azul.rollback().then(function() {
+        expect(afterCommit).to.not.have.been.called;
+        expect(afterRollback).to.have.been.calledOnce;
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('waits for after hooks in order', function(done) {
+      var sequence = [];
+      res.azul.afterCommit(function() {
+        return BPromise.delay(5).then(function() { sequence.push(1); });
+      });
+      res.azul.afterCommit(function() { sequence.push(2); });
+      res.azul.commit().then(function() {
+        expect(sequence).to.eql([1, 2]);
+      })
+      .then(done, done);
+    });
+
+    it('ignores errors in after hooks', function(done) {
+      var afterCommit = sinon.spy();
+      res.azul.afterCommit(function() { throw new Error('Ignored'); });
+      res.azul.afterCommit(afterCommit);
+      res.azul.commit().then(function() {
+        expect(afterCommit).to.have.been.calledOnce;
+        expect(next).to.have.been.calledOnce; // only by middleware
+      })
+      .then(done, done);
+    });
+
+    it('calls after hooks immediately when added after outcome', function(done) {
+      var afterCommit = sinon.spy();
+      var afterRollback = sinon.spy();
+      res.azul.commit().then(function() {
+        res.azul.afterCommit(afterCommit);
+        res.azul.afterRollback(afterRollback);
+        return BPromise.delay(1);
+      })
+      .then(function() {
+        expect(afterCommit).to.have.been.calledOnce;
+        expect(afterRollback).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('calls before commit hooks before committing', function(done) {
+      var beforeCommit = sinon.spy(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return req.azul.query.insert('outbox', { topic: 'created' });
+      });
+      res.azul.beforeCommit(beforeCommit);
+      res.azul.commit().then(function() {
+        expect(beforeCommit).to.have.been.calledOnce;
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['INSERT INTO "outbox" ("topic") VALUES (?)', ['created']],
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('does not call before commit hooks when rolling back', function(done) {
+      var beforeCommit = sinon.spy();
+      res.azul.beforeCommit(beforeCommit);
+      res.azul.rollback().then(function() {
+        expect(beforeCommit).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('rolls back when a before commit hook vetoes', function(done) {
+      var afterCommit = sinon.spy();
+      var afterRollback = sinon.spy();
+      res.azul.beforeCommit(function() { throw new Error('Veto'); });
+      res.azul.afterCommit(afterCommit);
+      res.azul.afterRollback(afterRollback);
+      res.end();
+      res.azul.commit().then(function() {
+        expect(next).to.have.been.calledTwice;
+        expect(next.getCall(1).args[0].message).to.eql('Veto');
+        expect(res._end).to.not.have.been.called;
+        expect(afterCommit).to.not.have.been.called;
+        expect(afterRollback).to.have.been.calledOnce;
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('lets an error handler respond after a veto', function(done) {
+      var req = testing.createRequest();
+      var res = testing.createResponse();
+      var setup = pspy();
+      var errored = pspy();
+      at(req, res, function(e) { return e ? errored(e) : setup(); });
+      setup.wait.then(function() {
+        res.azul.beforeCommit(function() { throw new Error('Veto'); });
+        res.end('ok');
+        return errored.wait;
+      })
+      .then(function(e) {
+        expect(e.message).to.eql('Veto');
+        res.statusCode = 500;
+        res.end('error');
+        return res.ended;
+      })
+      .then(function() {
+        expect(res.finished).to.be.true;
+        expect(res.statusCode).to.eql(500);
+        expect(res.body).to.eql('error');
+      })
+      .then(done, done);
+    });
+
+    it('lets an error handler respond after a failed commit', function(done) {
+      var req = testing.createRequest();
+      var res = testing.createResponse();
+      var setup = pspy();
+      var errored = pspy();
+      adapter.fail('COMMIT');
+      at(req, res, function(e) { return e ? errored(e) : setup(); });
+      setup.wait.then(function() {
+        res.write('partial ');
+        res.end('ok');
+        return errored.wait;
+      })
+      .then(function(e) {
+        expect(e).to.match(/intentional failure for commit/i);
+        res.statusCode = 500;
+        res.end('error');
+        return res.ended;
+      })
+      .then(function() {
+        expect(res.statusCode).to.eql(500);
+        expect(res.body).to.eql('error');
+      })
+      .then(done, done);
+    });
+
+    it('throws when adding before commit hooks once closing', function() {
+      res.azul.commit();
+      expect(function() {
+        res.azul.beforeCommit(_.noop);
+      }).to.throw(/cannot add before commit hook once closing/i);
+    });
+
+  });
+
+  describe('events', function() {
+    var events;
+
+    beforeEach(function() {
+      events = {};
+      ['begin', 'commit', 'rollback', 'commitError', 'rollbackError',
+       'timeout'].forEach(function(name) {
+        at.on(name, events[name] = pspy());
+      });
+    });
+
+    it('is an event emitter', function() {
+      expect(at).to.be.an.instanceof(Function);
+      expect(at.on).to.equal(EventEmitter.prototype.on);
+    });
+
+    it('emits begin & commit', function(done) {
+      at(req, res, next);
+      events.begin.wait.then(function() {
+        var details = events.begin.getCall(0).args[0];
+        expect(details.req).to.equal(req);
+        expect(details.transaction).to.equal(req.azul.transaction);
+        expect(details.duration).to.be.a('number');
+        return next.wait.delay(20);
+      })
+      .then(function() {
+        res.end();
+        return events.commit.wait;
+      })
+      .then(function() {
+        var details = events.commit.getCall(0).args[0];
+        expect(details.req).to.equal(req);
+        expect(details.transaction).to.equal(req.azul.transaction);
+        expect(details.duration).to.be.at.least(15);
+        expect(details).to.not.have.property('reason');
+        expect(events.rollback).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('emits rollback when rolled back manually', function(done) {
+      at(req, res, next);
+      next.wait.then(function() { res.azul.rollback(); });
+      events.rollback.wait.then(function() {
+        expect(events.rollback.getCall(0).args[0].reason).to.eql('manual');
+        expect(events.commit).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('emits rollback for errors passed to next', function(done) {
+      var route = at.route(function(req, res, next) {
+        next(new Error('Failure'));
+      });
+      route(req, res, next);
+      events.rollback.wait.then(function() {
+        expect(events.rollback.getCall(0).args[0].reason).to.eql('next');
+      })
+      .then(done, done);
+    });
+
+    it('emits rollback from the error middleware', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        at.error(new Error('Failure'), req, res, _.noop);
+        return events.rollback.wait;
+      })
+      .then(function() {
+        expect(events.rollback.getCall(0).args[0].reason).to.eql('error');
+      })
+      .then(done, done);
+    });
+
+    it('emits rollback on abort', function(done) {
+      at = azulTransaction(db, { rollbackOnAbort: true });
+      at.on('rollback', events.rollback);
+      req = new EventEmitter();
+      at(req, res, next);
+      next.wait.then(function() {
+        req.emit('aborted');
+        return events.rollback.wait;
+      })
+      .then(function() {
+        expect(events.rollback.getCall(0).args[0].reason).to.eql('abort');
+      })
+      .then(done, done);
+    });
+
+    it('emits timeout', function(done) {
+      at = azulTransaction(db, { timeout: 30 });
+      at.on('timeout', events.timeout);
+      at.on('rollback', events.rollback);
+      at(req, res, _.noop);
+      events.rollback.wait.then(function() {
+        expect(events.timeout).to.have.been.calledOnce;
+        expect(events.timeout.getCall(0).args[0].timeout).to.eql(30);
+        expect(events.rollback.getCall(0).args[0].reason).to.eql('timeout');
+      })
+      .then(done, done);
+    });
+
+    it('emits commit errors', function(done) {
+      adapter.fail('COMMIT');
+      at(req, res, next);
+      next.wait.then(function() { res.end(); });
+      events.commitError.wait.then(function() {
+        var details = events.commitError.getCall(0).args[0];
+        expect(details.error).to.match(/intentional failure for commit/i);
+        expect(details.transaction).to.equal(req.azul.transaction);
+        expect(events.commit).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('emits rollback errors', function(done) {
+      adapter.fail('ROLLBACK');
+      at(req, res, next);
+      next.wait.then(function() { res.azul.rollback(); });
+      events.rollbackError.wait.then(function() {
+        var details = events.rollbackError.getCall(0).args[0];
+        expect(details.error).to.match(/intentional failure for rollback/i);
+        expect(details.reason).to.eql('manual');
+      })
+      .then(done, done);
+    });
+
+    it('does not emit for transactions that never began', function(done) {
+      at = azulTransaction(db, { lazy: true });
+      at.on('commit', events.commit);
+      at(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(events.commit).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('with a query log', function() {
+    beforeEach(function() {
+      at = azulTransaction(db, { log: true });
+      db.model('article');
+    });
+
+    it('records statements executed in the transaction', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.query.select('articles').where({ id: 1 });
+      })
+      .then(function() {
+        return req.azul.model('article').objects.fetch();
+      })
+      .then(function() { return db.query.select('comments'); })
+      .then(function() {
+        expect(_.map(req.azul.log, 'sql')).to.eql([
+          'SELECT * FROM "articles" WHERE "id" = ?',
+          'SELECT * FROM "articles"',
+        ]);
+        expect(req.azul.log[0].args).to.eql([1]);
+        expect(req.azul.log[0].duration).to.be.a('number');
+        expect(req.azul.log[0]).to.not.have.property('error');
+      })
+      .then(done, done);
+    });
+
+    it('records failed statements', function(done) {
+      adapter.fail(/select/i);
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.query.select('articles');
+      })
+      .throw(new Error('Expected query to fail.'))
+      .catch(function(e) {
+        expect(e.message).to.match(/intentional failure/i);
+        expect(req.azul.log.length).to.eql(1);
+        expect(req.azul.log[0].error).to.equal(e);
+      })
+      .then(done, done);
+    });
+
+    it('does not exist when disabled', function(done) {
+      at = azulTransaction(db);
+      at(req, res, next);
+      next.wait.then(function() {
+        expect(req.azul.log).to.not.exist;
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('with request tagging', function() {
+    var sql = function() {
+      return _.filter(adapter.executed, function(statement) {
+        return /articles/.test(statement);
+      });
+    };
+
+    it('tags statements with the request id', function(done) {
+      req.id = 'abc123';
+      at = azulTransaction(db, { tag: true });
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(sql()).to.eql(['/* req:abc123 */ SELECT * FROM "articles"']);
+        expect(adapter.executed[0]).to.eql('BEGIN');
+      })
+      .then(done, done);
+    });
+
+    it('accepts a function to get the id', function(done) {
+      req.headers = { 'x-request-id': 'e7f-9' };
+      at = azulTransaction(db, {
+        tag: function(req) { return req.headers['x-request-id']; },
+      });
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(sql()).to.eql(['/* req:e7f-9 */ SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+
+    it('removes characters that could end the comment', function(done) {
+      req.id = 'a*/ DROP TABLE articles; /*b';
+      at = azulTransaction(db, { tag: true });
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(sql()).to.eql(
+          ['/* req:aDROPTABLEarticlesb */ SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+
+    it('does not tag requests without an id', function(done) {
+      at = azulTransaction(db, { tag: true });
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(sql()).to.eql(['SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('with locks', function() {
+    var dialectDb = function(name) {
+      adapter = Adapter.extend({}, { __name__: name }).create();
+      db = azul.Database.create({ adapter: adapter });
+      at = azulTransaction(db);
+    };
+
+    it('takes transaction level advisory locks', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.lock('invoice:1');
+      })
+      .then(function() { return req.azul.lock(42, { shared: true }); })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT pg_advisory_xact_lock(hashtext(?))', ['invoice:1']],
+          ['SELECT pg_advisory_xact_lock_shared(?)', [42]]]);
+      })
+      .then(done, done);
+    });
+
+    it('tries locks without waiting', function(done) {
+      adapter.respond(/pg_try/, [{ locked: true }]);
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.lock('report', { shared: true, wait: false });
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', [
+          'SELECT pg_try_advisory_xact_lock_shared(hashtext(?)) AS "locked"',
+          ['report'],
+        ]]);
+      })
+      .then(done, done);
+    });
+
+    it('rejects unavailable locks when not waiting', function(done) {
+      adapter.respond(/pg_try/, [{ locked: false }]);
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.lock('report', { wait: false });
+      })
+      .throw(new Error('Expected lock to be unavailable.'))
+      .catch(function(e) {
+        expect(e).to.be.an.instanceof(azulTransaction.LockUnavailableError);
+        expect(e.message).to.eql('Lock "report" is held by another ' +
+          'transaction.');
+        expect(e.key).to.eql('report');
+        expect(e.status).to.eql(409);
+      })
+      .then(done, done);
+    });
+
+    it('takes route locks before the route runs', function(done) {
+      var lock = sinon.spy(function(req) { return 'invoice:' + req.params.id; });
+      var route = at.route({ lock: lock }, function(req, res, query) {
+        return query.select('invoices');
+      });
+      req.params = { id: 7 };
+      route(req, res, next);
+      BPromise.delay(20).then(function() {
+        expect(lock).to.have.been.calledOnce;
+        expect(lock).to.have.been.calledWithExactly(req);
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT pg_advisory_xact_lock(hashtext(?))', ['invoice:7']],
+          'SELECT * FROM "invoices"',
+          'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('skips route locks without a key', function(done) {
+      var route = at.route({ lock: _.noop }, function(req, res, query) {
+        return query.select('invoices');
+      });
+      route(req, res, next);
+      BPromise.delay(20).then(function() {
+        expect(adapter.executed).to.eql(['BEGIN',
+          'SELECT * FROM "invoices"', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('passes route lock failures on', function(done) {
+      var route = at.route({
+        lock: function() { throw new Error('No key'); },
+      }, function() {});
+      route(req, res, next);
+      next.wait.then(function(e) {
+        expect(e.message).to.eql('No key');
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('takes route locks for koa', function(done) {
+      var ctx = { params: { id: 3 } };
+      at = azulTransaction.koa(db);
+      var route = at.route({
+        lock: function(ctx) { return 'invoice:' + ctx.params.id; },
+      }, function(ctx, next, query) {
+        return query.select('invoices');
+      });
+      route(ctx, _.noop).then(function() {
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT pg_advisory_xact_lock(hashtext(?))', ['invoice:3']],
+          'SELECT * FROM "invoices"',
+          'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('releases mysql locks once the transaction ends', function(done) {
+      dialectDb('MySQLAdapter');
+      adapter.respond(/GET_LOCK/, [{ locked: 1 }]);
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.lock('invoice:1', { shared: true });
+      })
+      .then(function() { return req.azul.lock(42); })
+      .then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT GET_LOCK(?, ?) AS locked', ['invoice:1', -1]],
+          ['SELECT GET_LOCK(?, ?) AS locked', ['42', -1]],
+          'COMMIT',
+          ['SELECT RELEASE_LOCK(?)', ['invoice:1']],
+          ['SELECT RELEASE_LOCK(?)', ['42']]]);
+      })
+      .then(done, done);
+    });
+
+    it('releases mysql locks when rolling back', function(done) {
+      dialectDb('MySQLAdapter');
+      adapter.respond(/GET_LOCK/, [{ locked: 1 }]);
+      adapter.fail(/RELEASE_LOCK/);
+      at(req, res, next);
+      next.wait.then(function() { return req.azul.lock('invoice:1'); })
+      .then(function() { return res.azul.rollback(); })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT GET_LOCK(?, ?) AS locked', ['invoice:1', -1]],
+          'ROLLBACK']); // the release failure is ignored
+      })
+      .then(done, done);
+    });
+
+    it('rejects unavailable mysql locks', function(done) {
+      dialectDb('MySQLAdapter');
+      adapter.respond(/GET_LOCK/, [{ locked: 0 }]);
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.lock('invoice:1', { wait: false });
+      })
+      .throw(new Error('Expected lock to be unavailable.'))
+      .catch(function(e) {
+        expect(e).to.be.an.instanceof(azulTransaction.LockUnavailableError);
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT GET_LOCK(?, ?) AS locked', ['invoice:1', 0]],
+          'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('does nothing for sqlite', function(done) {
+      dialectDb('SQLite3Adapter');
+      at(req, res, next);
+      next.wait.then(function() { return req.azul.lock('invoice:1'); })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('with idempotency keys', function() {
+    var route, handler;
+
+    // the key that's stored (scoped to `POST /payments`), the name of its lock
+    // & the fingerprint of the request (without a body)
+    var key = '85c4fd5b85e61f31cf8f131f629150831e30e0f4';
+    var lock = 'idempotency:44cc233ecb6ee29adf62a8dc4d396d2ae8107ede';
+    var fingerprint = '4f0f04272366e679e3745d93ede879a984add633';
+
+    beforeEach(function() {
+      req = testing.createRequest({
+        method: 'POST',
+        url: '/payments',
+        headers: { 'idempotency-key': 'k1' },
+      });
+      res = testing.createResponse();
+      handler = sinon.spy(function(req, res, query) {
+        return query.insert('payments', { amount: 5 }).then(function() {
+          res.statusCode = 201;
+          res.setHeader('Content-Type', 'application/json');
+          res.write('{"id":');
+          res.end('1}');
+        });
+      });
+      route = at.route({
+        idempotency: true,
+        params: ['req', 'res', 'query'],
+      }, handler);
+    });
+
+    it('stores the response in the same commit', function(done) {
+      route(req, res, next);
+      res.ended.then(function() {
+        expect(handler).to.have.been.calledOnce;
+        expect(res.body).to.eql('{"id":1}');
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT pg_advisory_xact_lock(hashtext(?))',
+            [lock]],
+          ['SELECT * FROM "idempotency_keys" WHERE "key" = ?', [key]],
+          ['INSERT INTO "payments" ("amount") VALUES (?)', [5]],
+          ['INSERT INTO "idempotency_keys" ("key", "fingerprint", ' +
+            '"status", "headers", "body") VALUES (?, ?, ?, ?, ?)',
+            [key, fingerprint, 201, '{"content-type":"application/json"}',
+              '{"id":1}']],
+          'COMMIT']);
+        expect(next).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('stores headers given to write head', function(done) {
+      route = at.route({ idempotency: true }, function(req, res) {
+        res.writeHead(202, { 'Location': '/payments/1' });
+        res.end();
+      });
+      route(req, res, next);
+      res.ended.then(function() {
+        expect(adapter.executed[3][1]).to.eql(
+          [key, fingerprint, 202, '{"location":"/payments/1"}', '']);
+        expect(res.getHeader('location')).to.eql('/payments/1');
+      })
+      .then(done, done);
+    });
+
+    it('replays stored responses', function(done) {
+      adapter.respond(/idempotency_keys/, [{
+        key: key,
+        fingerprint: fingerprint,
+        status: 201,
+        headers: '{"content-type":"application/json"}',
+        body: '{"id":1}',
+      }]);
+      route(req, res, next);
+      res.ended.then(function() {
+        expect(handler).to.not.have.been.called;
+        expect(res.statusCode).to.eql(201);
+        expect(res.body).to.eql('{"id":1}');
+        expect(res.getHeaders()).to.eql({
+          'content-type': 'application/json',
+          'idempotent-replayed': 'true',
+        });
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT pg_advisory_xact_lock(hashtext(?))',
+            [lock]],
+          ['SELECT * FROM "idempotency_keys" WHERE "key" = ?', [key]],
+          'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('replays responses stored while waiting in a snapshot', function(done) {
+      // the response was stored by a request that committed after this
+      // transaction took its snapshot, so only other clients can see it.
+      adapter.respond(/idempotency_keys/, function(client) {
+        return client === adapter.clients[0] ? [] : [{
+          key: key, fingerprint: fingerprint,
+          status: 201, headers: '{}', body: '{"id":1}',
+        }];
+      });
+      route = at.route({
+        idempotency: true,
+        isolation: 'repeatable read',
+        params: ['req', 'res', 'query'],
+      }, handler);
+      route(req, res, next);
+      res.ended.then(function() {
+        expect(handler).to.not.have.been.called;
+        expect(res.statusCode).to.eql(201);
+        expect(res.body).to.eql('{"id":1}');
+        expect(adapter.clients.length).to.eql(2);
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL REPEATABLE READ',
+          ['SELECT pg_advisory_xact_lock(hashtext(?))',
+            [lock]],
+          ['SELECT * FROM "idempotency_keys" WHERE "key" = ?', [key]],
+          ['SELECT * FROM "idempotency_keys" WHERE "key" = ?', [key]],
+          'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('keeps lock names within the mysql limit', function(done) {
+      var MySQLAdapter = Adapter.extend({}, { __name__: 'MySQLAdapter' });
+      adapter = MySQLAdapter.create();
+      adapter.respond(/GET_LOCK/, [{ locked: 1 }]);
+      db = azul.Database.create({ adapter: adapter });
+      at = azulTransaction(db);
+      route = at.route({
+        idempotency: true,
+        params: ['req', 'res', 'query'],
+      }, handler);
+      req.headers['idempotency-key'] = '3b241101-e2bb-4255-8caf-4136c566a962';
+      route(req, res, next);
+      res.ended.then(function() {
+        var name = adapter.executed[1][1][0];
+        expect(adapter.executed[1][0]).to.match(/GET_LOCK/);
+        expect(name).to.match(/^idempotency:[0-9a-f]{40}$/);
+        expect(name.length).to.be.at.most(64);
+      })
+      .then(done, done);
+    });
+
+    it('scopes keys by endpoint & the scope option', function(done) {
+      var keys = [];
+      var lookup = function(props) {
+        return function() {
+          adapter.executed = [];
+          req = testing.createRequest(_.extend({
+            method: 'POST',
+            url: '/payments',
+            headers: { 'idempotency-key': 'k1' },
+            user: { id: 7 },
+          }, props));
+          res = testing.createResponse();
+          route(req, res, next);
+          return res.ended.then(function() {
+            keys.push(adapter.executed[2][1][0]);
+          });
+        };
+      };
+      route = at.route({
+        idempotency: { scope: function(req) { return req.user.id; } },
+        params: ['req', 'res', 'query'],
+      }, handler);
+      BPromise.resolve()
+      .then(lookup({}))
+      .then(lookup({ url: '/payments?source=retry' }))
+      .then(lookup({ url: '/refunds' }))
+      .then(lookup({ method: 'PUT' }))
+      .then(lookup({ user: { id: 8 } }))
+      .then(function() {
+        expect(keys[1]).to.eql(keys[0]); // the query string is not scoped
+        expect(_.uniq(keys).length).to.eql(4);
+        expect(keys).to.not.contain(key);
+      })
+      .then(done, done);
+    });
+
+    it('rejects keys reused for a different request', function(done) {
+      adapter.respond(/idempotency_keys/, [{
+        key: key,
+        fingerprint: fingerprint,
+        status: 201,
+        headers: '{}',
+        body: '{"id":1}',
+      }]);
+      req.body = { amount: 6 };
+      route(req, res, next);
+      next.wait.then(function(e) {
+        expect(e).to.be.an.instanceof(
+          azulTransaction.IdempotencyKeyReusedError);
+        expect(e.message).to.match(/key "k1" has already been used/i);
+        expect(e.status).to.eql(422);
+        expect(handler).to.not.have.been.called;
+        expect(res.finished).to.be.false;
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT pg_advisory_xact_lock(hashtext(?))', [lock]],
+          ['SELECT * FROM "idempotency_keys" WHERE "key" = ?', [key]],
+          'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('runs normally without a key', function(done) {
+      req.headers = {};
+      route(req, res, next);
+      res.ended.then(function() {
+        expect(handler).to.have.been.calledOnce;
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['INSERT INTO "payments" ("amount") VALUES (?)', [5]],
+          'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('rejects duplicates in progress when not waiting', function(done) {
+      adapter.respond(/pg_try/, [{ locked: false }]);
+      route = at.route({
+        idempotency: { wait: false },
+        params: ['req', 'res', 'query'],
+      }, handler);
+      route(req, res, next);
+      next.wait.then(function(e) {
+        expect(e).to.be.an.instanceof(azulTransaction.LockUnavailableError);
+        expect(e.status).to.eql(409);
+        expect(handler).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT pg_try_advisory_xact_lock(hashtext(?)) AS "locked"',
+            [lock]],
+          'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('accepts a custom table & header', function(done) {
+      req.headers = { 'x-request-key': 'k2' };
+      route = at.route({
+        idempotency: { table: 'requests', header: 'X-Request-Key' },
+        params: ['req', 'res', 'query'],
+      }, handler);
+      route(req, res, next);
+      res.ended.then(function() {
+        expect(adapter.executed[2]).to.eql(
+          ['SELECT * FROM "requests" WHERE "key" = ?',
+            ['abe31fdd3ae568eb192f1e157f2a3139e6491df7']]);
+        expect(adapter.executed[4][0]).to.match(/^INSERT INTO "requests"/);
+      })
+      .then(done, done);
+    });
+
+    it('vetoes the commit when the response has not ended', function(done) {
+      route = at.route({ idempotency: true }, function(req, res, query) {
+        return query.insert('payments', { amount: 5 });
+      });
+      route(req, res, next);
+      next.wait.then(function(e) {
+        expect(e.message).to.match(/must end the response/i);
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['SELECT pg_advisory_xact_lock(hashtext(?))',
+            [lock]],
+          ['SELECT * FROM "idempotency_keys" WHERE "key" = ?', [key]],
+          ['INSERT INTO "payments" ("amount") VALUES (?)', [5]],
+          'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('with an outbox', function() {
+    var rows = function() {
+      return [
+        { id: 1, topic: 'invoice.paid', payload: '{"id":7}', attempts: 0 },
+        { id: 2, topic: 'invoice.sent', payload: '{"id":8}', attempts: 4 },
+      ];
+    };
+
+    it('publishes events within the transaction', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.publish('invoice.paid', { id: 7 });
+      })
+      .then(function(result) {
+        expect(result).to.not.exist;
+        return res.azul.rollback();
+      })
+      .then(function() {
+        var insert = adapter.executed[1];
+        expect(adapter.executed.length).to.eql(3);
+        expect(insert[0]).to.eql('INSERT INTO "outbox" ("topic", "payload", ' +
+          '"attempts", "available_at") VALUES (?, ?, ?, ?)');
+        expect(_.take(insert[1], 3)).to.eql(['invoice.paid', '{"id":7}', 0]);
+        expect(insert[1][3]).to.be.an.instanceof(Date);
+        expect(adapter.executed[2]).to.eql('ROLLBACK');
+      })
+      .then(done, done);
+    });
+
+    it('publishes to a custom table', function(done) {
+      at = azulTransaction(db, { outboxTable: 'events' });
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.publish('invoice.paid');
+      })
+      .then(function() {
+        expect(adapter.executed[1][0]).to.match(/^INSERT INTO "events"/);
+        expect(adapter.executed[1][1][1]).to.eql('null');
+      })
+      .then(done, done);
+    });
+
+    it('delivers committed events', function(done) {
+      var delivered = pspy();
+      var handler = sinon.spy();
+      var outbox = azulTransaction.outbox(db);
+      adapter.respond(/^SELECT \* FROM "outbox"/, rows());
+      outbox.on('delivered', delivered);
+      outbox.poll(handler).then(function(count) {
+        expect(count).to.eql(2);
+        expect(handler).to.have.been.calledTwice;
+        expect(handler.getCall(0).args[0]).to.eql({
+          id: 1, topic: 'invoice.paid', payload: { id: 7 }, attempts: 1,
+        });
+        expect(delivered).to.have.been.calledTwice;
+        expect(adapter.executed[0][0]).to.eql('SELECT * FROM "outbox" ' +
+          'WHERE "delivered_at" IS NULL AND "attempts" < ? AND ' +
+          '"available_at" <= ? ORDER BY "id" ASC LIMIT 10');
+        expect(adapter.executed[1][0]).to.eql('UPDATE "outbox" SET ' +
+          '"attempts" = ?, "delivered_at" = ? WHERE "id" = ?');
+        expect(adapter.executed[1][1][0]).to.eql(1);
+        expect(adapter.executed[1][1][2]).to.eql(1);
+        expect(adapter.executed[2][1][2]).to.eql(2);
+      })
+      .then(done, done);
+    });
+
+    it('retries failed deliveries after a backoff', function(done) {
+      var failed = sinon.spy();
+      var error = new Error('Broker down');
+      var outbox = azulTransaction.outbox(db, {
+        table: 'events', backoff: 60000,
+      });
+      adapter.respond(/^SELECT \* FROM "events"/, rows());
+      outbox.on('deliveryError', failed);
+      outbox.poll(function() { throw error; }).then(function() {
+        var update = adapter.executed[1];
+        expect(update[0]).to.eql('UPDATE "events" SET "attempts" = ?, ' +
+          '"available_at" = ?, "last_error" = ? WHERE "id" = ?');
+        expect(update[1][0]).to.eql(1);
+        expect(update[1][1].getTime()).to.be.at.least(Date.now() + 59000);
+        expect(update[1][2]).to.eql('Broker down');
+        expect(adapter.executed[2][1][1].getTime())
+          .to.be.at.least(Date.now() + 60000 * 8 - 1000);
+        expect(failed).to.have.been.calledTwice;
+        expect(failed.getCall(0).args[0].error).to.equal(error);
+        expect(failed.getCall(0).args[0].retry).to.be.true;
+        expect(failed.getCall(1).args[0].retry).to.be.false;
+      })
+      .then(done, done);
+    });
+
+    it('polls until stopped', function(done) {
+      var handler = sinon.spy();
+      var outbox = azulTransaction.outbox(db, { interval: 10 });
+      adapter.respond(/^SELECT \* FROM "outbox"/, _.take(rows(), 1));
+      expect(outbox.start(handler)).to.equal(outbox);
+      expect(function() { outbox.start(handler); })
+        .to.throw(/already been started/i);
+      BPromise.delay(50).then(function() { return outbox.stop(); })
+      .then(function() {
+        var count = handler.callCount;
+        expect(count).to.be.at.least(2);
+        return BPromise.delay(30).return(count);
+      })
+      .then(function(count) {
+        expect(handler.callCount).to.eql(count);
+      })
+      .then(done, done);
+    });
+
+    it('polls again right away after a full batch', function(done) {
+      var handler = sinon.spy();
+      var outbox = azulTransaction.outbox(db, { batchSize: 2 });
+      adapter.respond(/^SELECT \* FROM "outbox"/, rows());
+      outbox.start(handler);
+      BPromise.delay(30).then(function() { return outbox.stop(); })
+      .then(function() {
+        expect(handler.callCount).to.be.above(2);
+      })
+      .then(done, done);
+    });
+
+    it('continues polling after errors', function(done) {
+      var pollError = pspy();
+      var outbox = azulTransaction.outbox(db, { interval: 5 });
+      adapter.fail(/^SELECT/, {}, 1);
+      outbox.on('pollError', pollError);
+      outbox.start(_.noop);
+      pollError.wait.then(function(details) {
+        expect(details.error.message).to.match(/intentional failure/i);
+        return BPromise.delay(20);
+      })
+      .then(function() { return outbox.stop(); })
+      .then(function() {
+        expect(pollError).to.have.been.calledOnce;
+        expect(adapter.executed.length).to.be.at.least(1);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('with concurrency limits', function() {
+    var request = function(handler) {
+      var next = pspy();
+      var req = testing.createRequest({ started: pspy() });
+      var res = testing.createResponse();
+      (handler || at)(req, res, next);
+      return { req: req, res: res, next: next };
+    };
+
+    it('counts open transactions', function(done) {
+      var first = request();
+      first.next.wait.then(function() {
+        expect(at.concurrency()).to.eql({
+          read: { active: 1, queued: 0, maxConcurrent: null,
+            maxQueued: null, },
+          write: { active: 1, queued: 0, maxConcurrent: null,
+            maxQueued: null, },
+        });
+        first.res.end();
+        return first.res.ended;
+      })
+      .then(function() {
+        expect(at.concurrency().write.active).to.eql(0);
+      })
+      .then(done, done);
+    });
+
+    it('queues requests beyond the limit', function(done) {
+      at = azulTransaction(db, { maxConcurrent: 1 });
+      var first = request();
+      var second;
+      first.next.wait.then(function() {
+        second = request();
+        return BPromise.delay(10);
+      })
+      .then(function() {
+        expect(second.next).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['BEGIN']);
+        expect(at.concurrency().write).to.eql({ active: 1, queued: 1,
+          maxConcurrent: 1, maxQueued: null, });
+        first.res.end();
+        return second.next.wait;
+      })
+      .then(function() {
+        expect(second.next).to.have.been.calledWithExactly();
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT', 'BEGIN']);
+        expect(at.concurrency().write).to.include({ active: 1, queued: 0 });
+        second.res.end();
+        return second.res.ended;
+      })
+      .then(function() {
+        expect(at.concurrency().write).to.include({ active: 0, queued: 0 });
+      })
+      .then(done, done);
+    });
+
+    it('sheds requests when the queue is full', function(done) {
+      var overload = pspy();
+      at = azulTransaction(db, { maxConcurrent: 1, maxQueued: 0 });
+      at.on('overload', overload);
+      var first = request();
+      var second;
+      first.next.wait.then(function() {
+        second = request();
+        return second.next.wait;
+      })
+      .then(function(e) {
+        expect(e).to.be.an.instanceof(azulTransaction.OverloadedError);
+        expect(e.message).to.match(/too many requests/i);
+        expect(e.reason).to.eql('queueFull');
+        expect(e.status).to.eql(503);
+        expect(e.headers).to.eql({ 'Retry-After': '1' });
+        expect(second.res.getHeader('retry-after')).to.eql('1');
+        expect(overload.getCall(0).args[0].req).to.equal(second.req);
+        expect(overload.getCall(0).args[0].reason).to.eql('queueFull');
+        expect(at.concurrency().write).to.include({ active: 1, queued: 0 });
+        expect(adapter.executed).to.eql(['BEGIN']);
+      })
+      .then(done, done);
+    });
+
+    it('sheds requests that wait too long', function(done) {
+      at = azulTransaction(db, {
+        maxConcurrent: 1, queueTimeout: 10, retryAfter: 30,
+      });
+      var first = request();
+      var second;
+      first.next.wait.then(function() {
+        second = request();
+        return BPromise.delay(1);
+      })
+      .then(function() {
+        expect(at.concurrency().write.queued).to.eql(1);
+        return second.next.wait;
+      })
+      .then(function(e) {
+        expect(e.message).to.match(/timed out waiting/i);
+        expect(e.reason).to.eql('queueTimeout');
+        expect(second.res.getHeader('retry-after')).to.eql('30');
+        expect(at.concurrency().write).to.include({ active: 1, queued: 0 });
+      })
+      .then(done, done);
+    });
+
+    it('does not begin queued transactions that time out', function(done) {
+      at = azulTransaction(db, { maxConcurrent: 1 });
+      var route = at.route({ timeout: 10 }, function(req) { req.started(); });
+      var first = request();
+      var second;
+      first.next.wait.then(function() {
+        second = request(route);
+        return second.next.wait;
+      })
+      .then(function(e) {
+        expect(e).to.be.an.instanceof(azulTransaction.TimeoutError);
+        expect(at.concurrency().write).to.include({ active: 1, queued: 0 });
+        first.res.end();
+        return first.res.ended.delay(10);
+      })
+      .then(function() {
+        expect(second.req.started).to.not.have.been.called;
+        expect(second.next).to.have.been.calledOnce;
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(at.concurrency().write).to.include({ active: 0, queued: 0 });
+      })
+      .then(done, done);
+    });
+
+    it('stops waiting for a slot when the client aborts', function(done) {
+      at = azulTransaction(db, { maxConcurrent: 1, rollbackOnAbort: true });
+      var first = request();
+      var second;
+      first.next.wait.then(function() {
+        second = request();
+        expect(at.concurrency().write.queued).to.eql(1);
+        second.req.emit('aborted');
+        expect(at.concurrency().write.queued).to.eql(0);
+        first.res.end();
+        return first.res.ended.delay(10);
+      })
+      .then(function() {
+        expect(second.next).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(at.concurrency().write).to.include({ active: 0, queued: 0 });
+      })
+      .then(done, done);
+    });
+
+    it('reports null for limits that are not set', function() {
+      at = azulTransaction(db, { maxConcurrent: { read: 2 } });
+      expect(at.concurrency()).to.eql({
+        read: { active: 0, queued: 0, maxConcurrent: 2, maxQueued: null },
+        write: { active: 0, queued: 0, maxConcurrent: null, maxQueued: null },
+      });
+    });
+
+    it('uses a custom overload error', function(done) {
+      var error = new Error('Busy');
+      var overloadError = sinon.spy(_.constant(error));
+      at = azulTransaction(db, {
+        maxConcurrent: 1, maxQueued: 0, overloadError: overloadError,
+      });
+      var first = request();
+      var second;
+      first.next.wait.then(function() {
+        second = request();
+        return second.next.wait;
+      })
+      .then(function(e) {
+        expect(e).to.equal(error);
+        expect(overloadError).to.have.been.calledWith(second.req, second.res,
+          sinon.match.instanceOf(azulTransaction.OverloadedError));
+      })
+      .then(done, done);
+    });
+
+    it('limits read only & write transactions separately', function(done) {
+      at = azulTransaction(db, { maxConcurrent: { read: 1, write: 1 } });
+      var reader = at.route({ readOnly: true }, function(req) {
+        req.started();
+      });
+      var write = request();
+      var read = request(reader);
+      var queued;
+      BPromise.all([write.next.wait, read.req.started.wait]).then(function() {
+        queued = request(reader);
+        return BPromise.delay(10);
+      })
+      .then(function() {
+        expect(queued.req.started).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['BEGIN', 'BEGIN READ ONLY']);
+        expect(at.concurrency()).to.eql({
+          read: { active: 1, queued: 1, maxConcurrent: 1,
+            maxQueued: null, },
+          write: { active: 1, queued: 0, maxConcurrent: 1,
+            maxQueued: null, },
+        });
+        read.res.end();
+        return queued.req.started.wait;
+      })
+      .then(function() {
+        expect(at.concurrency().read).to.include({ active: 1, queued: 0 });
+      })
+      .then(done, done);
+    });
+
+    it('only takes a slot once a lazy transaction begins', function(done) {
+      at = azulTransaction(db, { lazy: true, maxConcurrent: 1 });
+      var first = request();
+      var second = request();
+      BPromise.all([first.next.wait, second.next.wait]).then(function() {
+        expect(at.concurrency().write.active).to.eql(0);
+        return first.req.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(at.concurrency().write).to.include({ active: 1, queued: 0 });
+        second.req.azul.query.select('articles').execute();
+        return BPromise.delay(10);
+      })
+      .then(function() {
+        expect(at.concurrency().write).to.include({ active: 1, queued: 1 });
+        expect(adapter.executed).to.eql(['BEGIN', 'SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('in rollback mode', function() {
+    beforeEach(function() {
+      at = azulTransaction(db, { mode: 'rollback' });
+    });
+
+    it('rolls back instead of committing', function(done) {
+      var events = { commit: pspy(), rollback: pspy() };
+      var afterCommit = pspy();
+      at.on('commit', events.commit);
+      at.on('rollback', events.rollback);
+      at(req, res, next);
+      next.wait.then(function() {
+        res.azul.afterCommit(afterCommit);
+        return req.azul.query.insert('articles', { title: 'Azul' });
+      })
+      .then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() { return afterCommit.wait; })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN',
+          ['INSERT INTO "articles" ("title") VALUES (?)', ['Azul']],
+          'ROLLBACK']);
+        expect(events.commit).to.have.been.calledOnce;
+        expect(events.rollback).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('rolls back for wrapped routes', function(done) {
+      var route = at.route(function(req, res, query) {
+        return query.select('articles').then(function() { res.end(); });
+      });
+      route(req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.executed).to.eql(['BEGIN',
+          'SELECT * FROM "articles"', 'ROLLBACK']);
+        expect(next).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('rolls back for koa', function(done) {
+      var ctx = {};
+      at = azulTransaction.koa(db, { mode: 'rollback' });
+      at(ctx, function() {}).then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('throws for unknown modes', function() {
+      expect(function() {
+        azulTransaction(db, { mode: 'discard' });
+      }).to.throw(/unknown mode: discard/i);
+    });
+  });
+
+  describe('with an outer transaction', function() {
+    var outer;
+    var savepoint = function(sql) {
+      return new RegExp('^' + sql + ' AZUL_REQUEST_\\d+$');
+    };
+
+    beforeEach(function(done) {
+      outer = db.query.transaction();
+      at = azulTransaction(db, { outerTransaction: outer });
+      outer.begin().execute().return().then(done, done);
+    });
+
+    var request = function(fn) {
+      var req = {};
+      var end = pspy();
+      var res = { end: end };
+      var next = pspy();
+      at(req, res, next);
+      return next.wait.then(function() { return fn(req); })
+      .then(function() {
+        res.end();
+        return end.wait;
+      });
+    };
+
+    it('runs requests within savepoints of the transaction', function(done) {
+      request(function(req) {
+        return req.azul.query.insert('articles', { title: 'Azul' });
+      })
+      .then(function() {
+        return request(function(req) {
+          return req.azul.model('article').objects.fetch();
+        });
+      })
+      .then(function() { return outer.rollback().execute(); })
+      .then(function() {
+        var executed = adapter.executed;
+        expect(executed.length).to.eql(8);
+        expect(executed[0]).to.eql('BEGIN');
+        expect(executed[1]).to.match(savepoint('SAVEPOINT'));
+        expect(executed[2]).to.eql(
+          ['INSERT INTO "articles" ("title") VALUES (?)', ['Azul']]);
+        expect(executed[3]).to.match(savepoint('RELEASE SAVEPOINT'));
+        expect(executed[4]).to.match(savepoint('SAVEPOINT'));
+        expect(executed[4]).to.not.eql(executed[1]);
+        expect(executed[5]).to.eql('SELECT * FROM "articles"');
+        expect(executed[6]).to.match(savepoint('RELEASE SAVEPOINT'));
+        expect(executed[7]).to.eql('ROLLBACK');
+        expect(adapter.clients.length).to.eql(1);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back to the savepoint in rollback mode', function(done) {
+      at = azulTransaction(db, { outerTransaction: outer, mode: 'rollback' });
+      request(function(req) {
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        var name = adapter.executed[1].split(' ')[1];
+        expect(adapter.executed).to.eql(['BEGIN',
+          'SAVEPOINT ' + name, 'SELECT * FROM "articles"',
+          'ROLLBACK TO SAVEPOINT ' + name]);
+      })
+      .then(done, done);
+    });
+
+    it('creates the savepoint when first needed when lazy', function(done) {
+      at = azulTransaction(db, { outerTransaction: outer, lazy: true });
+      request(function() {})
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return request(function(req) {
+          return req.azul.query.select('articles');
+        });
+      })
+      .then(function() {
+        expect(adapter.executed.length).to.eql(4);
+        expect(adapter.executed[1]).to.match(savepoint('SAVEPOINT'));
+        expect(adapter.executed[2]).to.eql('SELECT * FROM "articles"');
+        expect(adapter.executed[3]).to.match(savepoint('RELEASE SAVEPOINT'));
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('in development mode', function() {
+    var events;
+
+    beforeEach(function() {
+      req = _.extend(new EventEmitter(), { method: 'GET', url: '/articles/1' });
+      res = _.extend(new EventEmitter(), _.pick(res, 'end', 'write', 'writeHead',
+        '_end', '_write', '_writeHead'));
+      at = azulTransaction(db, { development: true });
+      events = { leak: pspy(), commit: pspy() };
+      at.on('leak', events.leak);
+      at.on('commit', events.commit);
+      sinon.stub(console, 'warn');
+    });
+
+    afterEach(function(done) {
+      console.warn.restore();
+      var rollback = res.azul.rollback || BPromise.resolve; // named ends itself
+      rollback().then(function() { done(); }, done);
+    });
+
+    it('tracks open transactions', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        var open = azulTransaction.openTransactions();
+        expect(open.length).to.eql(1);
+        expect(open[0].req).to.equal(req);
+        expect(open[0].request).to.eql('GET /articles/1');
+        expect(open[0].age).to.be.a('number');
+        res.end();
+        return events.commit.wait;
+      })
+      .then(function() {
+        expect(azulTransaction.openTransactions()).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('warns when open after the response finishes', function(done) {
+      req.route = { path: '/articles/:id' };
+      at(req, res, next);
+      next.wait.then(function() {
+        res._end(); // bypasses the transaction
+        res.emit('finish');
+        return events.leak.wait;
+      })
+      .then(function() {
+        var message = 'Transaction for GET /articles/:id is still open ' +
+          'after the response finished.';
+        expect(console.warn).to.have.been.calledOnce;
+        expect(console.warn).to.have.been
+          .calledWith('azul-transaction: %s', message);
+        expect(events.leak.getCall(0).args[0].req).to.equal(req);
+        expect(events.leak.getCall(0).args[0].reason).to.eql('finish');
+        expect(events.leak.getCall(0).args[0].message).to.eql(message);
+        expect(azulTransaction.openTransactions().length).to.eql(1);
+      })
+      .then(done, done);
+    });
+
+    it('warns when open after the response closes', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        res.emit('close');
+        return events.leak.wait;
+      })
+      .then(function() {
+        expect(events.leak.getCall(0).args[0].message).to.eql(
+          'Transaction for GET /articles/1 is still open after the response ' +
+          'closed.');
+      })
+      .then(done, done);
+    });
+
+    it('warns once when open past the leak age', function(done) {
+      at = azulTransaction(db, { development: true, leakAge: 20 });
+      at.on('leak', events.leak);
+      at(req, res, next);
+      events.leak.wait.then(function() {
+        res.emit('finish');
+        return BPromise.delay(5);
+      })
+      .then(function() {
+        expect(events.leak).to.have.been.calledOnce;
+        expect(events.leak.getCall(0).args[0].reason).to.eql('age');
+        expect(events.leak.getCall(0).args[0].message).to.match(
+          /^Transaction for GET \/articles\/1 is still open after \d+ms\.$/);
+        expect(console.warn).to.have.been.calledOnce;
+      })
+      .then(done, done);
+    });
+
+    it('does not warn once committed', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return events.commit.wait;
+      })
+      .then(function() {
+        res.emit('finish');
+        res.emit('close');
+        return BPromise.delay(5);
+      })
+      .then(function() {
+        expect(console.warn).to.not.have.been.called;
+        expect(events.leak).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('names leaked transactions', function(done) {
+      at = azulTransaction(db, { development: true, name: 'analytics' });
+      at(req, res, next);
+      next.wait.then(function() {
+        res.emit('finish');
+        expect(azulTransaction.openTransactions()[0].name)
+          .to.eql('analytics');
+        expect(console.warn.getCall(0).args[1]).to.match(
+          /^Transaction analytics for GET/);
+        return res.azul.analytics.rollback();
+      })
+      .then(function() {
+        expect(azulTransaction.openTransactions()).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('does not track outside of development mode', function(done) {
+      at = azulTransaction(db);
+      at(req, res, next);
+      next.wait.then(function() {
+        res.emit('finish');
+        expect(azulTransaction.openTransactions()).to.eql([]);
+        expect(console.warn).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('with a timeout', function() {
+    beforeEach(function() {
+      at = azulTransaction(db, { timeout: 30 });
+    });
+
+    it('rolls back & passes on an error when exceeded', function(done) {
+      var errored = pspy();
+      var rolledBack = pspy();
+      at.on('rollback', rolledBack);
+      at(req, res, function(e) { return e && errored(e); }); // setup
+      errored.wait.then(function(error) {
+        expect(errored).to.have.been.calledOnce;
+        expect(error).to.be.an.instanceof(azulTransaction.TimeoutError);
+        expect(error.message).to.match(/timed out after 30ms/i);
+        expect(error.status).to.eql(503);
+        expect(error.statusCode).to.eql(503);
+        expect(res.azul.timedOut()).to.be.true;
+        return rolledBack.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('ignores the late handler', function(done) {
+      var context = {};
+      res = testing.createResponse();
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, next) {
+          context.next = next;
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        // error response written by error handling
+        res.writeHead(503, { 'Content-Type': 'text/plain' });
+        res.write('timed ');
+        res.end('out');
+        return res.ended;
+      })
+      .then(function() {
+        res.end('late');
+        res.write('late');
+        res.writeHead(200);
+        return BPromise.all([res.azul.commit(), context.next()]);
+      })
+      .then(function() {
+        expect(next).to.have.been.calledOnce;
+        expect(res.finished).to.be.true;
+        expect(res.statusCode).to.eql(503);
+        expect(res.getHeader('content-type')).to.eql('text/plain');
+        expect(res.body).to.eql('timed out');
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('ignores the late handler while the error response is written',
+      function(done) {
+      var context = {};
+      res = testing.createResponse();
+      BPromise.resolve().then(function() {
+        var route = at.route({ timeout: 20 }, function(req, res) {
+          context.res = res;
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        // handler finishes after the timeout, before the error handler
+        context.res.statusCode = 200;
+        context.res.end('late success');
+        expect(res.headersSent).to.be.false;
+        // error response written by error handling
+        res.statusCode = 503;
+        res.end('timed out');
+        return res.ended;
+      })
+      .then(function() {
+        context.res.end('late');
+        expect(res.statusCode).to.eql(503);
+        expect(res.body).to.eql('timed out');
+      })
+      .then(done, done);
+    });
+
+    it('passes on the error without waiting for the rollback', function(done) {
+      var execute = adapter._execute;
+      var release;
+      var stuck = new BPromise(function(resolve) { release = resolve; });
+      adapter._execute = function(client, sql) {
+        var self = this, args = arguments;
+        var run = function() { return execute.apply(self, args); };
+        return sql === 'ROLLBACK' ? stuck.then(run) : run();
+      };
+      var rolledBack = pspy();
+      var errorMiddleware = azulTransaction(db).error;
+      at.on('rollback', rolledBack);
+      res = testing.createResponse();
+      at.route(function(req, res) { /* jshint unused: false */ })(req, res, next);
+      next.wait.then(function(e) {
+        var errored = pspy();
+        errorMiddleware(e, req, res, errored);
+        return errored.wait;
+      })
+      .then(function(e) {
+        expect(e).to.be.an.instanceof(azulTransaction.TimeoutError);
+        res.statusCode = 503;
+        res.end('timed out');
+        return res.ended;
+      })
+      .then(function() {
+        expect(res.body).to.eql('timed out');
+        expect(rolledBack).to.not.have.been.called;
+        release();
+        return rolledBack.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('ignores handler writes while rolling back', function(done) {
+      res = testing.createResponse();
+      at.on('timeout', function() {
+        res.writeHead(200);
+        res.end('late');
+      });
+      at.route(function(req, res) { /* jshint unused: false */ })(req, res, next);
+      next.wait.then(function() {
+        expect(res.headersSent).to.be.false;
+        res.statusCode = 503;
+        res.end('error');
+        return res.ended;
+      })
+      .then(function() {
+        expect(res.statusCode).to.eql(503);
+        expect(res.body).to.eql('error');
+      })
+      .then(done, done);
+    });
+
+    it('ignores late errors from the handler', function(done) {
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query) {
+          return query.select('articles').execute().then(function() {
+            return next.wait; // until the timeout has been passed on
+          })
+          .then(function() {
+            throw new Error('Late');
+          });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        expect(next).to.have.been.calledOnce;
+        expect(next.getCall(0).args[0].message).to.match(/timed out/i);
+      })
+      .then(done, done);
+    });
+
+    it('does not time out once closed', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return res.azul.commit();
+      })
+      .delay(50)
+      .then(function() {
+        expect(next).to.have.been.calledOnce;
+        expect(res.azul.timedOut()).to.be.false;
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('allows routes to replace the timeout', function(done) {
+      var setup = pspy();
+      at(req, res, setup); // setup
+      setup.wait.then(function() {
+        var route = at.route({ timeout: 2000 }, function(req, res) {
+          BPromise.delay(50).then(function() { res.end(); });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(setup).to.have.been.calledOnce;
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('uses a custom error', function(done) {
+      var timeoutError = sinon.spy(function() {
+        return _.extend(new Error('Too slow'), { status: 504 });
+      });
+      at = azulTransaction(db, { timeout: 5, timeoutError: timeoutError });
+      at.route(function(req, res) { /* jshint unused: false */ })(req, res, next);
+      next.wait.then(function() {
+        expect(timeoutError).to.have.been.calledWithExactly(req, res, 5);
+        expect(next.getCall(0).args[0].message).to.eql('Too slow');
+        expect(next.getCall(0).args[0].status).to.eql(504);
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('when rolling back on abort', function() {
+    beforeEach(function(done) {
+      req = new EventEmitter();
+      res = _.extend(new EventEmitter(), _.pick(res, 'end', 'write', 'writeHead',
+        '_end', '_write', '_writeHead'));
+      at = azulTransaction(db, { rollbackOnAbort: true });
+      at(req, res, next);
+      next.wait.return().then(done, done);
+    });
+
+    it('rolls back when the request is aborted', function(done) {
+      var afterRollback = pspy();
+      res.azul.afterRollback(afterRollback);
+      req.emit('aborted');
+      afterRollback.wait.then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back when the response closes early', function(done) {
+      var afterRollback = pspy();
+      res.azul.afterRollback(afterRollback);
+      res.emit('close');
+      afterRollback.wait.then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('does not roll back when the response closes once finished', function(done) {
+      res.azul.commit().then(function() {
+        res.finished = true;
+        res.emit('close');
+        return BPromise.delay(5);
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('rejects later commits', function(done) {
+      req.emit('aborted');
+      res.azul.commit()
+      .throw(new Error('Expected commit to fail.'))
+      .catch(function(e) {
+        expect(e).to.be.an.instanceof(azulTransaction.ClientAbortedError);
+        expect(e.message).to.match(/client aborted/i);
+        return res.azul.rollback();
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('passes the error on when wrapped routes call next', function(done) {
+      var context = {};
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, next, query) {
+          context.next = next;
+          context.query = query;
+        });
+        next = pspy();
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        req.emit('aborted');
+        context.next();
+        return next.wait;
+      })
+      .then(function() {
+        expect(next.getCall(0).args[0])
+          .to.be.an.instanceof(azulTransaction.ClientAbortedError);
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('savepoints', function() {
+    beforeEach(function(done) {
+      at(req, res, next);
+      next.wait.return().then(done, done);
+    });
+
+    it('releases the savepoint when successful', function(done) {
+      req.azul.savepoint(function() {
+        return req.azul.query.insert('audits', { action: 'view' });
+      })
+      .then(function() {
+        return res.azul.commit();
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_SAVEPOINT_1',
+          ['INSERT INTO "audits" ("action") VALUES (?)', ['view']],
+          'RELEASE SAVEPOINT AZUL_SAVEPOINT_1',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('resolves with the result of the function', function(done) {
+      req.azul.savepoint(function() { return 'result'; })
+      .then(function(result) {
+        expect(result).to.eql('result');
+      })
+      .then(done, done);
+    });
+
+    it('rolls back only the savepoint on failure', function(done) {
+      adapter.fail('INSERT');
+      req.azul.savepoint(function() {
+        return req.azul.query.insert('audits', { action: 'view' });
+      })
+      .throw(new Error('Expected savepoint to fail.'))
+      .catch(function(e) {
+        expect(e.message).to.match(/intentional failure for insert/i);
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        return res.azul.commit();
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_SAVEPOINT_1',
+          'ROLLBACK TO SAVEPOINT AZUL_SAVEPOINT_1',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('uses unique names for each savepoint', function(done) {
+      req.azul.savepoint(function() {
+        return req.azul.savepoint(_.noop);
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_SAVEPOINT_1',
+          'SAVEPOINT AZUL_SAVEPOINT_2',
+          'RELEASE SAVEPOINT AZUL_SAVEPOINT_2',
+          'RELEASE SAVEPOINT AZUL_SAVEPOINT_1',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('can be managed manually', function(done) {
+      req.azul.savepoint().then(function(savepoint) {
+        expect(savepoint.name).to.eql('AZUL_SAVEPOINT_1');
+        return savepoint.rollbackTo().then(savepoint.release);
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_SAVEPOINT_1',
+          'ROLLBACK TO SAVEPOINT AZUL_SAVEPOINT_1',
+          'RELEASE SAVEPOINT AZUL_SAVEPOINT_1',
+        ]);
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('with retries', function() {
+    var serializationFailure = { code: '40001' };
+
+    beforeEach(function() {
+      at = azulTransaction(db, { retries: 2, backoff: 1 });
+    });
+
+    it('retries when the route fails with a serialization failure', function(done) {
+      var calls = 0;
+      var context = { queries: [] };
+      adapter.fail('UPDATE', serializationFailure, 1);
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query) {
+          calls += 1;
+          context.queries.push(query);
+          return query.update('articles', { title: 'Title' }).then(function() {
+            res.end();
+          });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(calls).to.eql(2);
+        expect(context.queries[0]).to.not.equal(context.queries[1]);
+        expect(context.queries[1]).to.equal(req.azul.query);
+        expect(next).to.not.have.been.called;
+        expect(res._end).to.have.been.calledOnce;
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'ROLLBACK',
+          'BEGIN',
+          ['UPDATE "articles" SET "title" = ?', ['Title']],
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('drops buffered output when retrying', function(done) {
+      var calls = 0;
+      res = testing.createResponse();
+      adapter.fail('UPDATE', serializationFailure, 1);
+      var route = at.route({ buffer: true }, function(req, res, query) {
+        calls += 1;
+        res.write('hello ');
+        return query.update('articles', { title: 'Title' }).then(function() {
+          res.end('done');
+        });
+      });
+      route(req, res, next);
+      res.ended.then(function() {
+        expect(calls).to.eql(2);
+        expect(next).to.not.have.been.called;
+        expect(res.body).to.eql('hello done');
+      })
+      .then(done, done);
+    });
+
+    it('retries when next is called with a deadlock', function(done) {
+      var calls = 0;
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, next, query) {
+          calls += 1;
+          query.select('articles').then(function() {
+            if (calls === 1) {
+              next(_.extend(new Error('Deadlock'), { code: '40P01' }));
+            }
+            else { next(); }
+          });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(calls).to.eql(2);
+        expect(next).to.have.been.calledOnce;
+        expect(next).to.have.been.calledWithExactly();
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "articles"',
+          'ROLLBACK',
+          'BEGIN',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('recognizes mysql & sqlite errors', function(done) {
+      var calls = 0;
+      var errors = [{ code: 'ER_LOCK_DEADLOCK' }, { code: 'SQLITE_BUSY' }];
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query) {
+          var props = errors[calls++];
+          return query.select('articles').then(function() {
+            if (props) { throw _.extend(new Error('Retry'), props); }
+            res.end();
+          });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(calls).to.eql(3);
+        expect(next).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('calls next with an error once retries are exhausted', function(done) {
+      var calls = 0;
+      adapter.fail('UPDATE', serializationFailure);
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query) {
+          calls += 1;
+          return query.update('articles', { title: 'Title' });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        var error = next.getCall(0).args[0];
+        expect(calls).to.eql(3);
+        expect(next).to.have.been.calledOnce;
+        expect(error).to.be.an.instanceof(azulTransaction.RetryError);
+        expect(error.message).to.match(/failed after 2 retries/i);
+        expect(error.cause.code).to.eql('40001');
+        expect(error.retries).to.eql(2);
+      })
+      .then(done, done);
+    });
+
+    it('does not retry once the response has been written', function(done) {
+      var calls = 0;
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query) {
+          calls += 1;
+          query; // use all params (jshint)
+          res.write('partial');
+          throw _.extend(new Error('Serialization'), serializationFailure);
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(calls).to.eql(1);
+        expect(next.getCall(0).args[0].code).to.eql('40001');
+      })
+      .then(done, done);
+    });
+
+    it('does not retry other errors', function(done) {
+      var calls = 0;
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query) {
+          calls += 1;
+          query; // use all params (jshint)
+          throw new Error('Expected');
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(calls).to.eql(1);
+        expect(next.getCall(0).args[0].message).to.eql('Expected');
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('waits between retries using the backoff function', function(done) {
+      var backoff = sinon.spy(function() { return 5; });
+      at = azulTransaction(db, { retries: 2, backoff: backoff });
+      adapter.fail('UPDATE', serializationFailure, 2);
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query) {
+          return query.update('articles', { title: 'Title' }).then(function() {
+            res.end();
+          });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(backoff).to.have.been.calledTwice;
+        expect(backoff.getCall(0).args).to.eql([1]);
+        expect(backoff.getCall(1).args).to.eql([2]);
+      })
+      .then(done, done);
+    });
+
+    it('does not retry by default', function(done) {
+      at = azulTransaction(db);
+      adapter.fail('UPDATE', serializationFailure);
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query) {
+          return query.update('articles', { title: 'Title' });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(next.getCall(0).args[0].code).to.eql('40001');
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('when lazy', function() {
+    beforeEach(function() {
+      at = azulTransaction(db, { lazy: true });
+    });
+
+    it('does not begin the transaction in middleware', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        expect(adapter.executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('does not commit when no queries were run', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(0);
+        expect(adapter.executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('does not rollback when no queries were run', function(done) {
+      var setup = pspy();
+      at(req, res, setup); // setup
+      setup.wait.then(function() {
+        at.error(new Error('exepcted'), req, res, next);
+        return next.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(0);
+        expect(adapter.executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('begins the transaction on the first query', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.query.select('comments');
+      })
+      .then(function() {
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "comments"',
+          'SELECT * FROM "articles"',
+          'COMMIT'
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('begins only once for concurrent queries', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return BPromise.all([
+          req.azul.query.select('comments'),
+          req.azul.query.select('articles'),
+        ]);
+      })
+      .then(function() {
+        return res.azul.commit();
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "comments"',
+          'SELECT * FROM "articles"',
+          'COMMIT'
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('rejects queries once closed without beginning', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return res.azul.commit();
+      })
+      .then(function() {
+        return req.azul.query.select('comments');
+      })
+      .throw(new Error('Expected query to fail.'))
+      .catch(function(e) {
+        expect(e.message).to.match(/already been closed/i);
+        expect(adapter.executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('begins the transaction for savepoints', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.savepoint(_.noop);
+      })
+      .then(function() {
+        return res.azul.commit();
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_SAVEPOINT_1',
+          'RELEASE SAVEPOINT AZUL_SAVEPOINT_1',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('works with bound models in wrapped routes', function(done) {
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, query, Article) {
+          query; // use all params (jshint)
+          Article.objects.fetch().then(function() {
+            res.end();
+          });
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([]);
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "articles"',
+          'COMMIT'
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('does not use a client for wrapped routes without queries', function(done) {
+      BPromise.resolve().then(function() {
+        var route = at.route(function(req, res, next, query) {
+          query; // use all params (jshint)
+          next();
+        });
+        return route(req, res, next); // invoke route
+      })
+      .then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        expect(adapter.clients.length).to.eql(0);
+        expect(adapter.executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('with multiple databases', function() {
+    var analyticsAdapter, analyticsDb, analytics, setup;
+
+    beforeEach(function(done) {
+      analyticsAdapter = Adapter.create();
+      analyticsDb = azul.Database.create({ adapter: analyticsAdapter });
+      analytics = azulTransaction(analyticsDb, { name: 'analytics' });
+
+      setup = pspy();
+      at(req, res, setup);
+      setup.wait.then(function() {
+        var analyticsSetup = pspy();
+        analytics(req, res, analyticsSetup);
+        return analyticsSetup.wait;
+      })
+      .return().then(done, done);
+    });
+
+    it('exposes named transactions', function() {
+      expect(req.azul.analytics.query).to.not.equal(req.azul.query);
+      expect(req.azul.analytics.query.transaction())
+        .to.equal(req.azul.analytics.transaction);
+      expect(res.azul.analytics.commit).to.be.a('function');
+      expect(adapter.executed).to.eql(['BEGIN']);
+      expect(analyticsAdapter.executed).to.eql(['BEGIN']);
+    });
+
+    it('commits all in order when the response is sent', function(done) {
+      var commit = sinon.spy(adapter, '_execute')
+        .withArgs(sinon.match.any, 'COMMIT');
+      var analyticsCommit = sinon.spy(analyticsAdapter, '_execute')
+        .withArgs(sinon.match.any, 'COMMIT');
+      res.end();
+      res._end.wait.then(function() {
+        expect(commit).to.have.been.calledBefore(analyticsCommit);
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(analyticsAdapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back the rest when a commit fails', function(done) {
+      var rolledBack = pspy();
+      adapter.fail('COMMIT');
+      res.azul.analytics.afterRollback(rolledBack);
+      res.end();
+      rolledBack.wait.then(function() {
+        expect(setup.lastCall.args[0])
+          .to.match(/intentional failure for commit/i);
+        expect(res._end).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['BEGIN']);
+        expect(analyticsAdapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back all in error middleware', function(done) {
+      at.error(new Error('Failure'), req, res, next);
+      expect(next).to.not.have.been.called;
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        expect(analyticsAdapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('injects models from named transactions', function(done) {
+      var route = at.route(['req', 'res', 'Article', 'analytics.Event'],
+        function(req, res, Article, Event) {
+          expect(Article.query).to.equal(req.azul.query);
+          expect(Event.query).to.equal(req.azul.analytics.query);
+          return Event.objects.fetch();
+        });
+      BPromise.resolve(route(req, res, next)).then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(analyticsAdapter.executed).to.eql([
+          'BEGIN', 'SELECT * FROM "events"',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back all when a route fails', function(done) {
+      var route = analytics.route(function(req, res, query) {
+        return query.select('events').execute().throw(new Error('Failure'));
+      });
+      route(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0]).to.match(/failure/i);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        expect(analyticsAdapter.executed).to.eql([
+          'BEGIN', 'SELECT * FROM "events"', 'ROLLBACK',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('throws when injecting from a missing transaction', function() {
+      var route = at.route(['req', 'res', 'reporting.query'], _.noop);
+      expect(function() { route({}, {}, next); })
+        .to.throw(/no transaction named reporting/i);
+    });
+
+    it('throws when another database is used without a name', function() {
+      expect(function() {
+        azulTransaction(analyticsDb)(req, res, next);
+      }).to.throw(/already been set up for another database/i);
+    });
+
+    it('throws for invalid names', function() {
+      expect(function() {
+        azulTransaction(analyticsDb, { name: 'query' });
+      }).to.throw(/invalid transaction name: query/i);
+      expect(function() {
+        azulTransaction(analyticsDb, { name: 'bad-name' });
+      }).to.throw(/invalid transaction name: bad-name/i);
+    });
+
+    it('supports named koa transactions', function(done) {
+      var ctx = {};
+      var koa = azulTransaction.koa(db);
+      var koaAnalytics = azulTransaction.koa(analyticsDb, { name: 'analytics' });
+      koa(ctx, function() {
+        return koaAnalytics(ctx, function() {
+          expect(ctx.azul.analytics.query).to.not.equal(ctx.azul.query);
+          return ctx.azul.analytics.model('event').objects.fetch();
+        });
+      })
+      .then(function() {
+        expect(_.takeRight(adapter.executed, 2)).to.eql(['BEGIN', 'COMMIT']);
+        expect(_.takeRight(analyticsAdapter.executed, 3)).to.eql([
+          'BEGIN', 'SELECT * FROM "events"', 'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('koa', function() {
+    var ctx;
+
+    beforeEach(function() {
+      ctx = {};
+      at = azulTransaction.koa(db);
+    });
+
+    it('commits once downstream completes', function(done) {
+      var downstream = sinon.spy(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return ctx.azul.query.select('articles').execute().return('result');
+      });
+      at(ctx, downstream).then(function(result) {
+        expect(result).to.eql('result');
+        expect(downstream).to.have.been.calledOnce;
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back when downstream fails', function(done) {
+      at(ctx, function() { throw new Error('Expected'); })
+      .throw(new Error('Expected middleware to fail.'))
+      .catch(function(e) {
+        expect(e.message).to.eql('Expected');
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('exposes bound models', function(done) {
+      at(ctx, function() {
+        var Article = ctx.azul.model('article');
+        expect(Article.query).to.equal(ctx.azul.query);
+        expect(ctx.azul.query.transaction()).to.equal(ctx.azul.transaction);
+        return Article.objects.fetch();
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('supports options', function(done) {
+      at = azulTransaction.koa(db, { lazy: true, isolation: 'serializable' });
+      at(ctx, _.noop).then(function() {
+        expect(adapter.executed).to.eql([]);
+        ctx = {};
+        return at(ctx, function() {
+          return ctx.azul.query.select('articles');
+        });
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN ISOLATION LEVEL SERIALIZABLE',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('changes to options of routes once begun', function(done) {
+      var route = at.route({ isolation: 'serializable', readOnly: true },
+        function(ctx, next, query) {
+          return query.select('articles');
+        });
+      at(ctx, function() { return route(ctx, _.noop); }).then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('rejects options of routes once a query has run', function(done) {
+      var route = at.route({ isolation: 'serializable' }, _.noop);
+      at(ctx, function() {
+        return ctx.azul.query.select('articles').then(function() {
+          return route(ctx, _.noop);
+        });
+      })
+      .throw(new Error('Expected middleware to fail.'))
+      .catch(function(e) {
+        expect(e.message).to.match(/cannot change transaction options/i);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "articles"',
+          'ROLLBACK',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('passes through when begin fails', function(done) {
+      adapter.fail('BEGIN');
+      var downstream = sinon.spy();
+      at(ctx, downstream)
+      .throw(new Error('Expected middleware to fail.'))
+      .catch(function(e) {
+        expect(e.message).to.match(/intentional failure for begin/i);
+        expect(downstream).to.not.have.been.called;
+        expect(adapter.executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    describe('wrapped route', function() {
+
+      it('injects query & models with middleware installed', function(done) {
+        var context = {};
+        var route = at.route(function(ctx, next, query, Article) {
+          context.query = query;
+          context.Article = Article;
+          return Article.objects.fetch().then(next);
+        });
+        var next = sinon.spy();
+        at(ctx, function() { return route(ctx, next); }).then(function() {
+          expect(next).to.have.been.calledOnce;
+          expect(context.query).to.equal(ctx.azul.query);
+          expect(context.Article.query).to.equal(ctx.azul.query);
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('manages the transaction without middleware', function(done) {
+        var route = at.route(function(ctx, query) {
+          return query.select('articles').then(function() {
+            ctx.body = 'body';
+          });
+        });
+        route(ctx, _.noop).then(function() {
+          expect(ctx.body).to.eql('body');
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('rolls back when the route fails', function(done) {
+        var route = at.route(function(ctx, query) {
+          return query.select('articles').then(function() {
+            throw new Error('Expected');
+          });
+        });
+        route(ctx, _.noop)
+        .throw(new Error('Expected route to fail.'))
+        .catch(function(e) {
+          expect(e.message).to.eql('Expected');
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'ROLLBACK',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('uses route options', function(done) {
+        var route = at.route({ readOnly: true }, function(ctx, next) {
+          return next();
+        });
+        route(ctx, _.noop).then(function() {
+          expect(adapter.executed).to.eql(['BEGIN READ ONLY', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+
+      it('throws for unkown params following azul params', function() {
+        expect(function() {
+          at.route(function(ctx, next, query, Item, bad) {
+            /* jshint unused: false */
+          });
+        }).to.throw(/unexpected arguments:.*query, item, bad/i);
+      });
+
+    });
+
+  });
+
+  describe('testing', function() {
+    beforeEach(function() {
+      req = testing.createRequest({ url: '/articles' });
+      res = testing.createResponse();
+    });
+
+    it('creates requests', function() {
+      expect(req).to.be.an.instanceof(EventEmitter);
+      expect(req.method).to.eql('GET');
+      expect(req.url).to.eql('/articles');
+      expect(req.headers).to.eql({});
+    });
+
+    it('creates responses that send headers on write', function(done) {
+      res.on('finish', function() { done(); });
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('X-Removed', '1');
+      res.removeHeader('x-removed');
+      expect(res.headersSent).to.be.false;
+      res.write('a');
+      expect(res.headersSent).to.be.true;
+      expect(function() { res.setHeader('X-Late', '1'); })
+        .to.throw(/headers after they are sent/i);
+      res.end('b');
+      expect(res.finished).to.be.true;
+      expect(res.statusCode).to.eql(200);
+      expect(res.getHeaders()).to.eql({ 'content-type': 'text/plain' });
+      expect(res.body).to.eql('ab');
+    });
+
+    it('creates responses that emit errors for writes after end',
+      function(done) {
+      var written = pspy();
+      var errored = pspy();
+      res.on('error', errored);
+      res.end('a');
+      expect(res.write('b', written)).to.be.false;
+      expect(errored).to.not.have.been.called;
+      BPromise.all([written.wait, errored.wait]).spread(function(e, error) {
+        expect(error).to.equal(e);
+        expect(error.message).to.match(/write after end/i);
+        expect(error.code).to.eql('ERR_STREAM_WRITE_AFTER_END');
+        expect(res.body).to.eql('a');
+      })
+      .then(done, done);
+    });
+
+    it('creates responses that accept status & headers', function(done) {
+      res.writeHead(201, 'Made', { 'Location': '/articles/1' });
+      expect(function() { res.writeHead(200); })
+        .to.throw(/headers after they are sent/i);
+      res.end();
+      res.ended.then(function(result) {
+        expect(result).to.equal(res);
+        expect(res.statusCode).to.eql(201);
+        expect(res.statusMessage).to.eql('Made');
+        expect(res.getHeaders()).to.eql({ location: '/articles/1' });
+      })
+      .then(done, done);
+    });
+
+    it('creates responses that call write & end callbacks', function(done) {
+      var events = [];
+      var record = function(name) {
+        return function() { events.push(name); };
+      };
+      res.on('finish', record('finish'));
+      res.on('close', record('close'));
+      res.write('a', record('write'));
+      res.write('b', 'utf8', record('write with encoding'));
+      res.end(record('end'));
+      expect(res.body).to.eql('ab');
+      res.on('close', function() {
+        expect(events).to.eql(['write', 'write with encoding',
+          'finish', 'end', 'close']);
+        done();
+      });
+    });
+
+    it('creates responses that end with a chunk & callback', function(done) {
+      res.end('a', 'utf8', function() {
+        expect(res.body).to.eql('a');
+        done();
+      });
+    });
+
+    it('creates promise spies', function(done) {
+      var spy = testing.promiseSpy();
+      spy('a', 'b');
+      spy('c');
+      spy.wait.then(function(result) {
+        expect(result).to.eql('a');
+        expect(spy.callCount).to.eql(2);
+        expect(spy.calls).to.eql([['a', 'b'], ['c']]);
+      })
+      .then(done, done);
+    });
+
+    it('works with the middleware', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        res.statusCode = 201;
+        res.end('created');
+        expect(res.finished).to.be.false;
+        return res.ended;
+      })
+      .then(function() {
+        expect(res.body).to.eql('created');
+        expect(res.statusCode).to.eql(201);
+        testing.expectCommitted(adapter);
+        expect(function() { testing.expectRolledBack(adapter); })
+          .to.throw(/every transaction to be rolled back, but executed: /i);
+      })
+      .then(done, done);
+    });
+
+    it('asserts rollbacks', function(done) {
+      at(req, res, next);
+      next.wait.then(function() { return res.azul.rollback(); })
+      .then(function() {
+        testing.expectRolledBack(adapter);
+        expect(function() { testing.expectCommitted(adapter); })
+          .to.throw(/every transaction to be committed/i);
+      })
+      .then(done, done);
+    });
+
+    it('asserts that transactions were executed', function() {
+      expect(function() { testing.expectCommitted(adapter); })
+        .to.throw(/every transaction to be committed, but executed: \[\]/i);
+    });
+
+    it('ignores savepoints in assertions', function(done) {
+      at(req, res, next);
+      next.wait.then(function() {
+        return req.azul.savepoint(function() { throw new Error('Expected'); });
+      })
+      .catch(function() {
+        res.end();
+        return res.ended;
+      })
+      .then(function() {
+        testing.expectCommitted(adapter);
+      })
+      .then(done, done);
+    });
   });
 
   describe('test setup', function() {
@@ -0,0 +1,334 @@
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+var azul = require('azul');
+var BPromise = require('bluebird');
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Test helpers for applications that use transaction middleware.
+ *
+ *     var testing = require('azul-transaction/testing');
+ *     var adapter = testing.Adapter.create();
+ *     var db = azul.Database.create({ adapter: adapter });
+ *     var req = testing.createRequest({ method: 'POST', url: '/articles' });
+ *     var res = testing.createResponse();
+ *
+ *     app(req, res);
+ *     res.ended.then(function() {
+ *       testing.expectCommitted(adapter);
+ *     });
+ *
+ * @module azul-transaction/testing
+ */
+
+/**
+ * An adapter that executes statements in memory. It records the statements it
+ * executes & the clients it uses, & can be scripted to return results or fail
+ * for statements that match a pattern. Each client is simply an object with
+ * an `id`.
+ *
+ * @constructor
+ * @extends Adapter
+ */
+var Adapter = azul.Adapter.extend(/** @lends Adapter# */ {
+  init: function() {
+    this._super.apply(this, arguments);
+    this._responders = [];
+
+    /**
+     * The clients used to execute statements, in the order they were first
+     * used.
+     *
+     * @type {Array.<Object>}
+     */
+    this.clients = [];
+
+    /**
+     * The executed statements. Statements without arguments are recorded as
+     * the SQL string & others as an array of the SQL & the arguments.
+     *
+     * @type {Array.<String|Array>}
+     */
+    this.executed = [];
+  },
+
+  /**
+   * Fail statements that match a pattern. Later calls take precedence.
+   *
+   * @param {String} sql A pattern that is matched without regard to case.
+   * @param {Object} [props] Properties to add to the error, i.e. a `code`.
+   * @param {Number} [count] The number of times to fail (otherwise failures
+   * continue indefinitely).
+   */
+  fail: function(sql, props, count) {
+    var responder = function(client, sql/*, args*/) {
+      if (count !== undefined && count-- <= 0) { return; }
+      throw _.extend(new Error('Intentional failure for ' + sql), props);
+    };
+    responder.regex = new RegExp(sql, 'i');
+    this._responders.unshift(responder);
+  },
+
+  /**
+   * Respond to statements that match a pattern with rows. Later calls take
+   * precedence.
+   *
+   * @param {RegExp} regex
+   * @param {Array.<Object>|Function} result The rows or a function that is
+   * given the client, SQL & arguments & returns the rows.
+   */
+  respond: function(regex, result) {
+    var responder = function(/*client, sql, args*/) {
+      var rows = _.isFunction(result) ? result.apply(this, arguments) : result;
+      return { rows: rows, fields: [] };
+    };
+    responder.regex = regex;
+    this._responders.unshift(responder);
+  },
+
+  _connect: BPromise.method(function() {
+    return { id: ++this.__identity__.cid };
+  }),
+
+  _disconnect: BPromise.method(function(/*client*/) {}),
+
+  _execute: BPromise.method(function(client, sql, args) {
+    return BPromise.delay(1).bind(this).then(function() {
+      var responder = _.find(this._responders,
+        function(r) { return sql.match(r.regex); });
+      var result = responder && responder(client, sql, args);
+      this.clients = _.uniq(this.clients.concat([client]));
+      this.executed.push(args.length ? [sql, args] : sql);
+      return result || { rows: [], fields: [] };
+    });
+  }),
+}, { cid: 0 });
+
+/**
+ * Create a spy function that records its calls & resolves a promise, `wait`,
+ * with the first argument of the first call. The calls are available as
+ * `calls` (an array of argument arrays) & `callCount`.
+ *
+ * @return {Function}
+ */
+var promiseSpy = function() {
+  var resolve;
+  var spy = function() {
+    spy.calls.push(_.toArray(arguments));
+    spy.callCount += 1;
+    resolve(arguments[0]);
+  };
+  spy.calls = [];
+  spy.callCount = 0;
+  spy.wait = new BPromise(function() { resolve = arguments[0]; });
+  return spy;
+};
+
+/**
+ * Create a fake request. It's an event emitter (so it can emit `aborted`)
+ * with a `method`, `url` & `headers`.
+ *
+ * @param {Object} [props] Properties to add, i.e. `method`, `url`, `headers`
+ * or `id`.
+ * @return {Request}
+ */
+var createRequest = function(props) {
+  return _.extend(new EventEmitter(), {
+    method: 'GET',
+    url: '/',
+    headers: {},
+  }, props);
+};
+
+/**
+ * Create a fake response that follows the semantics of Node's
+ * `http.ServerResponse`.
+ *
+ * Headers are sent implicitly by the first `write` or `end` (with the current
+ * `statusCode`) or explicitly by `writeHead`. After that, `headersSent` is
+ * `true` & setting headers throws. As with Node, a `write` after `end`
+ * returns `false` & emits an `error` (after the current call stack) with the
+ * code `ERR_STREAM_WRITE_AFTER_END`, which is also given to its callback. Once
+ * ended, `finished` is `true` & the `finish` & `close` events are emitted
+ * (after the current call stack). As with Node, `write` & `end` accept an
+ * encoding & a callback after the chunk (or just a callback for `end`). The
+ * callback for `write` is called once written & the callback for `end` once
+ * finished.
+ *
+ * For inspection, the response has the `body` that has been written & a
+ * promise, `ended`, that resolves with the response once `end` is called.
+ *
+ * @param {Object} [props] Properties to add.
+ * @return {Response}
+ */
+var createResponse = function(props) {
+  var res = new EventEmitter();
+  var headers = {};
+  var resolve;
+
+  var assertHeadersNotSent = function() {
+    if (res.headersSent) {
+      throw new Error('Cannot set headers after they are sent.');
+    }
+  };
+
+  var sendHeaders = function() {
+    res.headersSent = true;
+  };
+
+  var writeAfterEnd = function(callback) {
+    var error = _.extend(new Error('write after end'), {
+      code: 'ERR_STREAM_WRITE_AFTER_END',
+    });
+    process.nextTick(function() {
+      if (callback) { callback(error); }
+      res.emit('error', error);
+    });
+    return false;
+  };
+
+  var writeChunk = function(chunk) {
+    if (!res.headersSent) { sendHeaders(); }
+    if (chunk !== undefined && chunk !== null) { res.body += String(chunk); }
+  };
+
+  _.extend(res, {
+    statusCode: 200,
+    statusMessage: undefined,
+    headersSent: false,
+    finished: false,
+    body: '',
+    ended: new BPromise(function() { resolve = arguments[0]; }),
+
+    setHeader: function(name, value) {
+      assertHeadersNotSent();
+      headers[name.toLowerCase()] = value;
+    },
+
+    getHeader: function(name) {
+      return headers[name.toLowerCase()];
+    },
+
+    getHeaders: function() {
+      return _.clone(headers);
+    },
+
+    removeHeader: function(name) {
+      assertHeadersNotSent();
+      delete headers[name.toLowerCase()];
+    },
+
+    writeHead: function(statusCode, statusMessage, values) {
+      assertHeadersNotSent();
+      if (!_.isString(statusMessage)) {
+        values = statusMessage;
+        statusMessage = undefined;
+      }
+      res.statusCode = statusCode;
+      res.statusMessage = statusMessage;
+      _.forEach(values, function(value, name) { res.setHeader(name, value); });
+      sendHeaders();
+      return res;
+    },
+
+    write: function(chunk, encoding, cb) {
+      var callback = _.find([encoding, cb], _.isFunction);
+      if (res.finished) { return writeAfterEnd(callback); }
+      writeChunk(chunk);
+      if (callback) { setImmediate(callback); }
+      return true;
+    },
+
+    end: function(chunk, encoding, cb) {
+      var callback = _.find([chunk, encoding, cb], _.isFunction);
+      if (res.finished) { return res; }
+      writeChunk(_.isFunction(chunk) ? undefined : chunk);
+      res.finished = true;
+      resolve(res);
+      if (callback) { res.once('finish', callback); }
+      setImmediate(function() {
+        res.emit('finish');
+        res.emit('close');
+      });
+      return res;
+    },
+  }, props);
+
+  return res;
+};
+
+/**
+ * Get the statements that began or ended transactions (not savepoints).
+ *
+ * @param {Adapter} adapter
+ * @return {{begun: Number, committed: Number, rolledBack: Number,
+ * statements: Array.<String>}}
+ */
+var transactionStatements = function(adapter) {
+  var statements = _.filter(adapter.executed, _.isString);
+  var count = function(regex) {
+    return _.filter(statements, function(sql) { return regex.test(sql); })
+      .length;
+  };
+  return {
+    begun: count(/^(BEGIN|START TRANSACTION)\b/i),
+    committed: count(/^COMMIT\b/i),
+    rolledBack: count(/^ROLLBACK\b(?! TO)/i),
+    statements: adapter.executed,
+  };
+};
+
+/**
+ * Make an assertion about how the transactions executed through an adapter
+ * ended.
+ *
+ * @param {Adapter} adapter
+ * @param {String} outcome Either `committed` or `rolledBack`.
+ * @param {String} description The description of the outcome for messages.
+ */
+var expectOutcome = function(adapter, outcome, description) {
+  var result = transactionStatements(adapter);
+  var ok = result.begun > 0 &&
+    result[outcome] === result.begun &&
+    result.committed + result.rolledBack === result.begun;
+  if (!ok) {
+    throw new assert.AssertionError({
+      message: 'Expected every transaction to be ' + description +
+        ', but executed: ' + JSON.stringify(result.statements),
+      stackStartFunction: expectOutcome,
+    });
+  }
+};
+
+/**
+ * Assert that at least one transaction was executed through an adapter &
+ * that every transaction was committed.
+ *
+ * @param {Adapter} adapter
+ * @throws {AssertionError}
+ */
+var expectCommitted = function(adapter) {
+  expectOutcome(adapter, 'committed', 'committed');
+};
+
+/**
+ * Assert that at least one transaction was executed through an adapter &
+ * that every transaction was rolled back.
+ *
+ * @param {Adapter} adapter
+ * @throws {AssertionError}
+ */
+var expectRolledBack = function(adapter) {
+  expectOutcome(adapter, 'rolledBack', 'rolled back');
+};
+
+module.exports = {
+  Adapter: Adapter,
+  promiseSpy: promiseSpy,
+  createRequest: createRequest,
+  createResponse: createResponse,
+  expectCommitted: expectCommitted,
+  expectRolledBack: expectRolledBack,
+};